@@ -1,17 +1,250 @@
 import {
-  getMint,
+  unpackAccount,
+  unpackMint,
+  getTransferFeeConfig,
+  calculateEpochFee,
+  getAccountLenForMint,
+  ACCOUNT_SIZE,
   ASSOCIATED_TOKEN_PROGRAM_ID,
   TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
 } from "@solana/spl-token";
 import * as anchor from "@coral-xyz/anchor";
-const { Program, web3, setProvider, AnchorProvider, Wallet } = anchor
+const { Program, web3, setProvider, AnchorProvider, Wallet, LangErrorCode, LangErrorMessage, utils } = anchor
 const { BN } = anchor.default
-const { Connection, PublicKey, SystemProgram, ComputeBudgetProgram } = web3;
+const { bs58 } = utils.bytes
+const {
+  Connection,
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  ComputeBudgetProgram,
+  Transaction,
+  TransactionMessage,
+  VersionedTransaction,
+  AddressLookupTableAccount,
+  PACKET_DATA_SIZE,
+} = web3;
 import idl from "./synatra-idl.json" with { type: "json" };
 
 const SOLANA_TOKEN_ADDRESS = "So11111111111111111111111111111111111111111";
+const SOL_DECIMALS = 9;
+const POOL_WATCHED_FIELDS = ["stakeRate", "unstakeRate", "receiptMaxSupply", "nonce"];
 const SYNATRA_API_URL = "https://api.synatra.xyz";
 const SYNATRA_PROGRAM_ADDRESS = "synatfE5AvWtbDT9sSvDsF9gmeqR9qeq3FA84bhxWur";
+const CLUSTERS = {
+  mainnet: {
+    rpcUrl: "https://api.mainnet-beta.solana.com",
+    programId: SYNATRA_PROGRAM_ADDRESS,
+    apiUrl: SYNATRA_API_URL,
+  },
+  devnet: {
+    rpcUrl: "https://api.devnet.solana.com",
+    programId: "G2HTbxYa9XpiZviwnjtTrPCpfRxT8c6L9BvvJFo59ESx",
+    apiUrl: null,
+  },
+  localnet: {
+    rpcUrl: "http://127.0.0.1:8899",
+    programId: SYNATRA_PROGRAM_ADDRESS,
+    apiUrl: null,
+  },
+};
+const COMMITMENTS = ["processed", "confirmed", "finalized"];
+const DEFAULT_COMPUTE_UNIT_MARGIN = 0.1;
+const DEFAULT_PRIORITY_FEE_PERCENTILE = 75;
+const DEFAULT_SEND_RETRIES = 2;
+const DEFAULT_REBROADCAST_INTERVAL_MS = 2000;
+// Consecutive failed status reads before a send gives up on confirming
+const MAX_STATUS_POLL_ERRORS = 10;
+const DEFAULT_CLAIM_POLL_INTERVAL_MS = 5000;
+const DEFAULT_API_TIMEOUT_MS = 10_000;
+const DEFAULT_API_RETRIES = 3;
+const DEFAULT_API_RETRY_DELAY_MS = 500;
+const DEFAULT_API_MAX_RETRY_DELAY_MS = 30_000;
+const DEFAULT_NONCE_RETRIES = 3;
+const CLAIM_STATUSES = ["pending", "fulfilled", "claimed"];
+const AMOUNT_MODES = ["number", "bigint"];
+const TRANSACTION_VERSIONS = ["legacy", 0];
+const BATCH_OPS = ["stake", "unstake"];
+const U64_MAX = 2n ** 64n - 1n;
+const MAX_COMPUTE_UNIT_LIMIT = 1_400_000;
+// Preflight fee estimates: the base fee per signature, and the compute unit
+// limit a transaction gets without a compute budget instruction
+const LAMPORTS_PER_SIGNATURE = 5_000n;
+const DEFAULT_COMPUTE_UNIT_LIMIT = 200_000;
+// Pool `stake_rate` and `unstake_rate` are u64 fixed-point numbers with 9
+// decimals: the program converts with integer `amount * rate / 10^9`
+const RATE_PRECISION = 1_000_000_000n;
+
+/**
+ * @param {number} ms
+ * @param {AbortSignal} [signal] Rejects with `signal.reason` once aborted
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * @param {Date|string|number} value
+ * @returns {Date|null} null for anything that is not a valid date
+ */
+const toDate = (value) => {
+  if (!(value instanceof Date) && typeof value !== "string" && typeof value !== "number") {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * @param {{ fulfilled: boolean, claimed?: boolean }} claim
+ * @returns {ClaimStatus}
+ */
+const claimStatus = (claim) =>
+  claim.claimed ? "claimed" : claim.fulfilled ? "fulfilled" : "pending";
+
+/**
+ * Orders claims by unstake date, oldest first and undated first, then by
+ * address so paging cursors are stable.
+ * @param {{ unstakeDate: Date|null, address: string }} a
+ * @param {{ unstakeDate: Date|null, address: string }} b
+ * @returns {number}
+ */
+const compareClaims = (a, b) =>
+  (a.unstakeDate?.getTime() ?? -Infinity) - (b.unstakeDate?.getTime() ?? -Infinity) ||
+  (a.address < b.address ? -1 : a.address > b.address ? 1 : 0);
+
+/**
+ * Reads a `Retry-After` header, given in seconds or as an HTTP date.
+ * @param {string|null|undefined} value
+ * @returns {number|undefined} Milliseconds to wait, undefined if absent or malformed
+ */
+const parseRetryAfter = (value) => {
+  if (value === null || value === undefined || value.trim() === "") return undefined;
+  if (/^\d+$/.test(value.trim())) return Number(value.trim()) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(date - Date.now(), 0);
+};
+
+/**
+ * @param {import('@solana/web3.js').TransactionConfirmationStatus|null|undefined} status
+ * @param {import('@solana/web3.js').Commitment} commitment
+ * @returns {boolean}
+ */
+const hasCommitment = (status, commitment) =>
+  status != null && COMMITMENTS.indexOf(status) >= COMMITMENTS.indexOf(commitment);
+
+/**
+ * @param {import('@solana/web3.js').Transaction|import('@solana/web3.js').VersionedTransaction} transaction
+ * @returns {string} The fee payer's signature, which identifies the transaction
+ */
+const transactionSignature = (transaction) =>
+  bs58.encode(
+    transaction instanceof VersionedTransaction
+      ? transaction.signatures[0]
+      : transaction.signature
+  );
+
+/**
+ * True for objects that can sign like a wallet adapter. `publicKey` may be
+ * null while an adapter is disconnected.
+ * @param {unknown} wallet
+ * @returns {boolean}
+ */
+const isWalletSigner = (wallet) =>
+  wallet !== null &&
+  typeof wallet === "object" &&
+  typeof wallet.signTransaction === "function" &&
+  (wallet.publicKey === null || typeof wallet.publicKey?.toBase58 === "function");
+
+/**
+ * Provider wallet of a client without a signer: reads work, signing throws.
+ * @type {WalletSigner}
+ */
+const READ_ONLY_WALLET = Object.freeze({
+  publicKey: undefined,
+  signTransaction: async () => {
+    throw new WalletNotSetError();
+  },
+  signAllTransactions: async () => {
+    throw new WalletNotSetError();
+  },
+});
+
+/**
+ * @param {import('@solana/web3.js').Keypair|WalletSigner|null|undefined} wallet
+ * @param {string} field Argument name for the validation error
+ * @returns {WalletSigner|null} Keypairs wrapped in an Anchor `Wallet`, null for no wallet
+ */
+const toWalletSigner = (wallet, field) => {
+  if (wallet === null || wallet === undefined) return null;
+  if (wallet instanceof Keypair) return new Wallet(wallet);
+  if (isWalletSigner(wallet)) return wallet;
+  throw new ValidationError(
+    `${field} must be a Keypair or have publicKey and signTransaction`,
+    { field }
+  );
+};
+
+/**
+ * Converts a decimal amount in display units, such as `"1.5"` SOL, to base
+ * units without going through floating point.
+ * @param {string|number} value Non-negative decimal, at most `decimals` fractional digits
+ * @param {number} decimals Mint decimals
+ * @returns {bigint}
+ */
+export function parseUnits(value, decimals) {
+  const text = typeof value === "number" ? String(value) : value;
+  const match = typeof text === "string" ? /^(\d+)(?:\.(\d*))?$/.exec(text.trim()) : null;
+  if (!match) {
+    throw new ValidationError(`Invalid decimal amount: ${value}`, { field: "amount" });
+  }
+  const [, whole, fraction = ""] = match;
+  if (fraction.length > decimals) {
+    throw new ValidationError(`Amount has more than ${decimals} decimal places`, {
+      field: "amount",
+    });
+  }
+  return BigInt(whole + fraction.padEnd(decimals, "0"));
+}
+
+/**
+ * Formats an amount in base units as a decimal string in display units,
+ * without trailing zeros: `formatUnits(1_500_000_000, 9)` is `"1.5"`.
+ * @param {Amount|string} amount Integer amount in base units
+ * @param {number} decimals Mint decimals
+ * @returns {string}
+ */
+export function formatUnits(amount, decimals) {
+  let raw;
+  try {
+    raw = BigInt(amount);
+  } catch (err) {
+    throw new ValidationError(`Invalid amount: ${amount}`, { field: "amount", cause: err });
+  }
+  const sign = raw < 0n ? "-" : "";
+  const digits = (raw < 0n ? -raw : raw).toString().padStart(decimals + 1, "0");
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, "");
+  return `${sign}${whole}${fraction ? `.${fraction}` : ""}`;
+}
+
+/**
+ * u64 token amount or fixed-point rate: a number by default, or a bigint
+ * with `amountMode: 'bigint'`, which keeps values above 2^53 exact.
+ * @typedef {number|bigint} Amount
+ */
 
 /**
  * @typedef {Object} Pool
@@ -20,338 +253,3764 @@ const SYNATRA_PROGRAM_ADDRESS = "synatfE5AvWtbDT9sSvDsF9gmeqR9qeq3FA84bhxWur";
  * @property {import('@solana/web3.js').PublicKey} oracle
  * @property {import('@solana/web3.js').PublicKey} stakeToken
  * @property {import('@solana/web3.js').PublicKey} receiptToken
- * @property {number} stakeRate
- * @property {number} unstakeRate
- * @property {number} receiptMaxSupply
+ * @property {Amount} stakeRate
+ * @property {Amount} unstakeRate
+ * @property {Amount} receiptMaxSupply
  * @property {number} nonce
  */
 
 /**
+ * Claim from the Synatra API, validated and normalized. Transactions and
+ * dates are null until the claim reaches that step.
  * @typedef {Object} Claim
  * @property {string} address
  * @property {string} user
  * @property {string} poolId
- * @property {string} poolAddress
- * @property {number} receiptAmount
+ * @property {string|null} poolAddress
+ * @property {Amount} receiptAmount
  * @property {number} nonce
- * @property {number} unstakeRate
- * @property {string} unstakeTransaction
- * @property {string} unstakeDate
- * @property {number} claimAmount
+ * @property {Amount} unstakeRate
+ * @property {string|null} unstakeTransaction
+ * @property {Date|null} unstakeDate
+ * @property {Amount} claimAmount
  * @property {boolean} fulfilled
- * @property {string} fulfilledTransaction
- * @property {string} fulfilledDate
+ * @property {string|null} fulfilledTransaction
+ * @property {Date|null} fulfilledDate
  * @property {boolean} claimed
- * @property {string} claimedTransaction
- * @property {string} claimedDate
+ * @property {string|null} claimedTransaction
+ * @property {Date|null} claimedDate
  */
 
-export class SynatraClient {
+/**
+ * API record that failed validation and was left out of the results.
+ * @typedef {Object} InvalidClaim
+ * @property {number} index Position in the API response
+ * @property {unknown} record
+ * @property {string[]} errors
+ */
+
+/**
+ * Filters and paging for `getClaims`, `getClaimsPage` and `iterateClaims`.
+ * Claims are sorted by `unstakeDate`, oldest first.
+ * @typedef {Object} ClaimQuery
+ * @property {import('@solana/web3.js').PublicKey|string} [user] Defaults to the connected wallet
+ * @property {number} [poolId]
+ * @property {ClaimStatus} [status] `pending` is not yet fulfilled, `fulfilled` is not yet claimed
+ * @property {Date|string|number} [since] Unstaked at or after
+ * @property {Date|string|number} [until] Unstaked before
+ * @property {number} [limit] Page size; every match when unset. Not used by `iterateClaims`
+ * @property {string} [cursor] `nextCursor` of the previous page
+ * @property {(invalid: InvalidClaim[]) => void} [onInvalid] Called with malformed records, if any
+ * @property {AbortSignal} [signal]
+ */
+
+/**
+ * @typedef {Object} ClaimPage
+ * @property {Claim[]} claims
+ * @property {string|null} nextCursor Null on the last page
+ * @property {InvalidClaim[]} invalid Malformed records in the API response
+ */
+
+/**
+ * Claim read from a `ClaimRecord` account, shaped like the API's `Claim`
+ * minus the fields only the API tracks (transactions, dates, `claimed`).
+ * @typedef {Object} OnchainClaim
+ * @property {string} address ClaimRecord PDA
+ * @property {string} user Claimer
+ * @property {string} poolId
+ * @property {string} poolAddress
+ * @property {Amount} receiptAmount
+ * @property {number} nonce
+ * @property {Amount} unstakeRate
+ * @property {Amount} claimAmount Underlying amount, from `receiptAmount` and `unstakeRate`
+ * @property {boolean} fulfilled
+ */
+
+/**
+ * Disagreement between the Synatra API and the chain about one claim:
+ * - `missing_onchain`: the API has a claim with no `ClaimRecord`
+ * - `missing_api`: a `ClaimRecord` the API does not list
+ * - `address_mismatch`: the API address is not the claim's PDA
+ * - `receipt_amount_mismatch`, `unstake_rate_mismatch`: the values differ
+ * - `fulfilled_mismatch`: the API says fulfilled, the record does not
+ * @typedef {Object} ClaimIssue
+ * @property {'missing_onchain'|'missing_api'|'address_mismatch'|'receipt_amount_mismatch'|'unstake_rate_mismatch'|'fulfilled_mismatch'} type
+ * @property {string} message
+ * @property {unknown} [api] API value, for mismatches
+ * @property {unknown} [onchain] On-chain value, for mismatches
+ */
+
+/**
+ * One claim as seen by both sides, joined on the `ClaimRecord` PDA.
+ * @typedef {Object} ReconciledClaim
+ * @property {string} address ClaimRecord PDA for `poolId` and `nonce`
+ * @property {string} poolId
+ * @property {number} nonce
+ * @property {Claim|null} api
+ * @property {OnchainClaim|null} onchain
+ * @property {ClaimIssue[]} issues
+ */
+
+/**
+ * @typedef {Object} ClaimReconciliation
+ * @property {string} user
+ * @property {ReconciledClaim[]} claims Every claim on either side, sorted by pool ID, then nonce
+ * @property {ReconciledClaim[]} mismatches The claims with issues
+ * @property {InvalidClaim[]} invalid API records too malformed to join
+ * @property {boolean} ok No issues and no malformed records
+ */
+
+/**
+ * An owner's claims in one pool, by status. `ClaimRecord` accounts have no
+ * claimed flag, so `claimed` is only filled from the API and, read from
+ * chain, `fulfilled` also holds claims that were already paid out.
+ * @typedef {Object} PositionClaims
+ * @property {Array<Claim|OnchainClaim>} pending Not yet fulfilled
+ * @property {Array<Claim|OnchainClaim>} fulfilled Fulfilled, not yet claimed
+ * @property {Claim[]} claimed Already paid out
+ */
+
+/**
+ * An owner's stake in one pool, valued in the pool's stake token. Amounts
+ * are in stake token base units except `receiptBalance`.
+ * @typedef {Object} Position
+ * @property {number} poolId
+ * @property {string} owner
+ * @property {import('@solana/web3.js').PublicKey} stakeToken Asset the position is valued in
+ * @property {import('@solana/web3.js').PublicKey} receiptToken
+ * @property {Amount} receiptBalance Receipt tokens in the owner's associated token account
+ * @property {Amount} receiptValue `receiptBalance` at the pool's `unstakeRate`
+ * @property {Amount} pendingAmount Claim amounts not yet fulfilled
+ * @property {Amount} claimableAmount Claim amounts fulfilled but not claimed; from chain, every fulfilled claim including paid out ones
+ * @property {Amount} claimedAmount Claim amounts already paid out
+ * @property {Amount} totalValue `receiptValue + pendingAmount + claimableAmount`, leaving out `claimableAmount` when claims come from chain
+ * @property {PositionClaims} claims
+ * @property {'api'|'onchain'} claimsSource Synatra API when an API URL is set and answers, otherwise `ClaimRecord` accounts
+ */
+
+/**
+ * @typedef {Object} Portfolio
+ * @property {string} owner
+ * @property {Position[]} positions Pools with a receipt balance or claims, sorted by pool ID
+ * @property {Record<string, Amount>} totals Sum of `totalValue` per stake token address
+ * @property {'api'|'onchain'} claimsSource
+ */
+
+/**
+ * @typedef {Object} StakeQuote
+ * @property {number} poolId
+ * @property {Amount} amount Stake token amount in base units
+ * @property {Amount} transferFee Token-2022 transfer fee withheld from `amount`, 0 for other mints
+ * @property {Amount} receiptAmount Receipt tokens minted for `amount` net of `transferFee`
+ * @property {Amount} stakeRate
+ * @property {Amount} currentSupply Current receipt token supply
+ * @property {Amount} receiptMaxSupply
+ * @property {Amount} remainingSupply Receipt tokens that can still be minted
+ * @property {boolean} exceedsMaxSupply True if the stake would fail with `MaxSupplyExceeded`
+ */
+
+/**
+ * Balance an operation needs from one account.
+ * @typedef {Object} PreflightBalance
+ * @property {string} mint Mint address, or the SOL address for lamports
+ * @property {string} owner
+ * @property {string} account Token account, or the owner itself for SOL
+ * @property {boolean} exists
+ * @property {Amount} available
+ * @property {Amount} required
+ */
+
+/**
+ * A reason an operation would fail. `code` matches the error `stake` and
+ * `unstake` throw for it, except `TOKEN_ACCOUNT_NOT_FOUND`, which is thrown
+ * as an `InsufficientBalanceError`.
+ * @typedef {Object} PreflightIssue
+ * @property {'WALLET_NOT_SET'|'TOKEN_ACCOUNT_NOT_FOUND'|'INSUFFICIENT_BALANCE'|'MAX_SUPPLY_EXCEEDED'} code
+ * @property {string} message
+ * @property {string} [mint] Balance issues
+ * @property {Amount} [required] Balance issues
+ * @property {Amount} [available] Balance issues
+ * @property {number} [poolId] Supply issues
+ */
+
+/**
+ * Everything a stake or unstake needs, checked before sending. Account,
+ * balance and fee fields are null without a wallet.
+ * @typedef {Object} PreflightReport
+ * @property {'stake'|'unstake'} op
+ * @property {number} poolId
+ * @property {Amount} amount Stake token amount for stakes, receipt token amount for unstakes
+ * @property {boolean} walletSet
+ * @property {string|null} feePayer Pays fees and rent; the wallet unless `feePayer` is set
+ * @property {{ stakeAta: { address: string, exists: boolean }|null, receiptAta: { address: string, exists: boolean } }|null} accounts
+ *   The wallet's token accounts; `stakeAta` is null for SOL pools
+ * @property {{ transactionFee: Amount, rent: Amount }|null} fees Lamports. `transactionFee` is
+ *   estimated at the priority fee and the 200k default compute unit limit; `rent` funds the
+ *   receipt token account a stake creates, or the claim record of an unstake
+ * @property {PreflightBalance[]|null} balances The token the operation spends, then the fee
+ *   payer's SOL (one entry when staking SOL from the wallet that pays fees)
+ * @property {StakeQuote|null} quote Receipt tokens minted and remaining supply, for stakes
+ * @property {PreflightIssue[]} issues
+ * @property {boolean} ok No issues
+ */
+
+/**
+ * Pool with its address and the decimals and supply of both mints. SOL has
+ * no mint, so SOL pools report 9 decimals and a null stake token supply.
+ * @typedef {Pool & {
+ *   address: import('@solana/web3.js').PublicKey,
+ *   stakeTokenDecimals: number|null,
+ *   stakeTokenSupply: Amount|null,
+ *   receiptTokenDecimals: number|null,
+ *   receiptTokenSupply: Amount|null,
+ * }} PoolInfo
+ */
+
+/**
+ * @typedef {Object} PoolChange
+ * @property {Array<'stakeRate'|'unstakeRate'|'receiptMaxSupply'|'nonce'>} changed Fields that differ from the previous state
+ * @property {Pool|null} previous Pool before the update, null if it could not be read
+ * @property {number} slot Slot of the update
+ */
+
+/**
+ * @typedef {Object} UnstakeQuote
+ * @property {number} poolId
+ * @property {Amount} receiptAmount Receipt token amount in base units
+ * @property {Amount} claimAmount Underlying amount the claim will be worth
+ * @property {Amount} transferFee Token-2022 transfer fee on paying out `claimAmount` at today's fee, 0 for other mints
+ * @property {Amount} unstakeRate
+ */
+
+/**
+ * @typedef {TransactionResult & {
+ *   claimRecord: import('@solana/web3.js').PublicKey,
+ *   nonce: number,
+ *   nonceAttempts: number,
+ * }} UnstakeResult
+ * `claimRecord` is the ClaimRecord PDA the unstake created, at pool nonce `nonce`.
+ * `nonceAttempts` counts the nonces tried, more than 1 when another unstake
+ * took the pool's nonce first.
+ */
+
+/**
+ * @typedef {'pending'|'fulfilled'|'claimed'} ClaimStatus
+ */
+
+/**
+ * @typedef {Object} ClaimUpdate
+ * @property {ClaimStatus} status
+ * @property {string} address ClaimRecord PDA
+ * @property {OnchainClaim|null} onchain ClaimRecord as last read, null while no record is found
+ * @property {Claim|null} api Matching API claim, null without an API URL or before the API indexes it
+ */
+
+/**
+ * @typedef {Object} ClaimTrackerOptions
+ * @property {'fulfilled'|'claimed'} [until='fulfilled'] Status that stops tracking and resolves `done`; `'claimed'` needs an API URL
+ * @property {number} [timeout] Milliseconds before `done` rejects with `ClaimTimeoutError`, no limit by default
+ * @property {number} [pollIntervalMs=5000]
+ * @property {import('@solana/web3.js').PublicKey|string} [user] Claimer to look up in the API, defaults to the record's claimer or the connected wallet
+ */
+
+/**
+ * @typedef {'mainnet'|'devnet'|'localnet'} Cluster
+ */
+
+/**
+ * @typedef {Object} ClientOptions
+ * @property {Cluster} [cluster] Cluster preset for the program ID, API URL and default RPC URL
+ * @property {string|import('@solana/web3.js').PublicKey} [programId] Synatra program ID, must match `cluster` if both are set
+ * @property {import('@solana/web3.js').Commitment} [commitment='confirmed'] Commitment for the connection and provider
+ * @property {Logger} [logger=console] Destination for log output when logging is enabled
+ * @property {number} [computeUnitMargin=0.1] Fraction added to simulated compute units when setting the limit
+ * @property {SendConfig} [send] Defaults for the send pipeline
+ * @property {'number'|'bigint'} [amountMode='number'] Type of every amount and rate the client accepts and returns
+ * @property {ApiConfig} [api] Synatra API timeouts, retries and `fetch`
+ */
+
+/**
+ * Requests to the Synatra API are retried after network errors, 5xx and 429
+ * responses, waiting `retryDelayMs`, then twice as long on each retry, or as
+ * long as the response's `Retry-After` asks.
+ * @typedef {Object} ApiConfig
+ * @property {number} [timeoutMs=10000] Limit per attempt, including reading the response body
+ * @property {number} [maxRetries=3]
+ * @property {number} [retryDelayMs=500] Wait before the first retry
+ * @property {number} [maxRetryDelayMs=30000] Longest wait between attempts; a longer `Retry-After` fails the request instead
+ * @property {typeof fetch} [fetch] Defaults to the global `fetch`
+ */
+
+/**
+ * @typedef {Object} SendConfig
+ * @property {number} [maxRetries=2] Times to re-sign with a fresh blockhash after the previous one expired unlanded
+ * @property {number} [rebroadcastIntervalMs=2000] Delay between status polls and rebroadcasts
+ * @property {import('@solana/web3.js').Commitment} [commitment] Commitment to confirm at, defaults to the client's
+ */
+
+/**
+ * Anything that signs for a public key: a wallet adapter, a hardware wallet
+ * or an Anchor `Wallet`. Keypairs are wrapped in an Anchor `Wallet`.
+ * @typedef {Object} WalletSigner
+ * @property {import('@solana/web3.js').PublicKey|null} publicKey Null while a wallet adapter is disconnected
+ * @property {<T extends import('@solana/web3.js').Transaction|import('@solana/web3.js').VersionedTransaction>(tx: T) => Promise<T>} signTransaction
+ * @property {<T extends import('@solana/web3.js').Transaction|import('@solana/web3.js').VersionedTransaction>(txs: T[]) => Promise<T[]>} [signAllTransactions] Optional, the client signs one transaction at a time with `signTransaction`
+ */
+
+/**
+ * @typedef {Object} Logger
+ * @property {(...args: any[]) => void} error
+ */
+
+/**
+ * @typedef {Object} CreateOptions
+ * @property {string} [rpcUrl] Defaults to the cluster's public RPC endpoint
+ * @property {import('@solana/web3.js').Keypair|WalletSigner|null} [wallet]
+ * @property {string|null} [apiUrl] Defaults to the cluster's Synatra API URL
+ * @property {number|'auto'} [priorityFee=0] Priority fee in microlamports, or `'auto'` to estimate it per transaction
+ * @property {import('@solana/web3.js').Commitment} [commitment='confirmed']
+ * @property {Logger} [logger] Enables logging unless `enableLogging` is false
+ * @property {boolean} [enableLogging]
+ * @property {Cluster} [cluster]
+ * @property {string|import('@solana/web3.js').PublicKey} [programId]
+ * @property {number} [computeUnitMargin=0.1]
+ * @property {SendConfig} [send]
+ * @property {'number'|'bigint'} [amountMode='number']
+ * @property {ApiConfig} [api]
+ */
+
+/**
+ * @typedef {Object} ProgramErrorInfo
+ * @property {number|null} code Custom program error code, null for runtime errors
+ * @property {string} name
+ * @property {string} message
+ * @property {number|null} instructionIndex
+ */
+
+/**
+ * @typedef {Object} SimulationResult
+ * @property {string[]} logs
+ * @property {number} unitsConsumed Compute units used by the simulation
+ * @property {number} computeUnitLimit `unitsConsumed` plus the client's margin
+ * @property {ProgramErrorInfo|null} error
+ */
+
+/**
+ * @typedef {Object} AutoPriorityFeeOptions
+ * @property {number} [percentile=75] Percentile of recent prioritization fees to pay
+ * @property {number} [min=0] Lower bound in microlamports
+ * @property {number} [max] Upper bound in microlamports
+ */
+
+/**
+ * @typedef {Object} TransactionResult
+ * @property {'landed'|'failed'|'expired'} status `landed` once confirmed at the requested commitment, `failed` if it landed with an error, `expired` if no attempt landed before its blockhash expired
+ * @property {string} signature Signature of the last attempt
+ * @property {number|null} slot Slot the transaction landed in
+ * @property {ProgramErrorInfo|null} error Decoded error for `failed` transactions
+ * @property {number} attempts Number of signed attempts, each with its own blockhash
+ * @property {number} priorityFeeMicroLamports Compute unit price the transaction paid
+ * @property {number|undefined} computeUnitLimit Compute unit limit set from simulation
+ */
+
+/**
+ * @typedef {{ op: 'stake', poolId: number, amount: Amount } | { op: 'unstake', poolId: number, receiptAmount: Amount }} BatchOperation
+ */
+
+/**
+ * Outcome of one batch operation: the result of the transaction it was
+ * packed into, shared with the other operations in that transaction.
+ * @typedef {Object} BatchResultFields
+ * @property {'stake'|'unstake'} op
+ * @property {number} poolId
+ * @property {number} transactionIndex Which of the batch's transactions carried the operation
+ * @property {import('@solana/web3.js').PublicKey} [claimRecord] ClaimRecord an unstake created
+ * @property {number} [nonce] Pool nonce the ClaimRecord was derived from
+ */
+
+/**
+ * `signature` is null and `attempts` 0 when the transaction failed
+ * simulation and was not sent. `skipped` transactions were not simulated or
+ * sent because they unstake from a pool whose earlier unstake did not land,
+ * so their claim nonces no longer match the pool.
+ * @typedef {Omit<TransactionResult, 'signature'|'status'> & { status: TransactionResult['status']|'skipped', signature: string|null } & BatchResultFields} BatchResult
+ */
+
+/**
+ * @typedef {Object} PreparedInstruction
+ * @property {number} poolId
+ * @property {import('@solana/web3.js').TransactionInstruction} instruction
+ * @property {import('@solana/web3.js').PublicKey[]} writableAccounts Accounts the instruction write-locks, as marked in the IDL, used for fee estimation
+ * @property {import('@solana/web3.js').PublicKey} payer Pays fees and rent for new accounts
+ * @property {import('@solana/web3.js').PublicKey} [claimRecord] ClaimRecord an unstake creates
+ * @property {number} [nonce] Pool nonce the ClaimRecord was derived from
+ * @private
+ */
+
+/**
+ * @typedef {Object} PrepareOptions
+ * @property {import('@solana/web3.js').PublicKey} [owner] Signer of the instruction, defaults to the wallet
+ * @property {import('@solana/web3.js').PublicKey} [payer] Defaults to the owner
+ * @property {Pool} [pool] Already fetched pool; unstakes derive the ClaimRecord from its `nonce`
+ * @property {boolean} [validateBalance=true] False when the caller checked the balance already
+ * @private
+ */
+
+/**
+ * Pays transaction fees and rent for accounts an instruction creates, in
+ * place of the wallet. Only the public key is needed to build transactions;
+ * sending needs a signer.
+ * @typedef {import('@solana/web3.js').PublicKey|string|import('@solana/web3.js').Keypair|WalletSigner} FeePayer
+ */
+
+/**
+ * Transaction format for builders and sends. v0 transactions can load
+ * accounts from address lookup tables instead of listing them in full.
+ * @typedef {Object} TransactionFormat
+ * @property {'legacy'|0} [version='legacy'] `0` builds a `VersionedTransaction`
+ * @property {Array<import('@solana/web3.js').AddressLookupTableAccount|import('@solana/web3.js').PublicKey|string>} [lookupTables]
+ *   v0 only. Table addresses are fetched from the RPC
+ */
+
+/**
+ * @typedef {SendConfig & TransactionFormat & { simulate?: boolean, units?: 'raw'|'ui', feePayer?: import('@solana/web3.js').Keypair|WalletSigner, nonceRetries?: number }} SendOptions
+ * `simulate: true` returns the simulation result instead of sending.
+ * `nonceRetries` (unstake only, default 3) bounds how often an unstake is
+ * rebuilt at a fresh pool nonce after another unstake took its nonce.
+ * `feePayer` signs alongside the wallet and pays fees and rent.
+ * `units: 'ui'` takes the amount in display units, such as `'1.5'`, and
+ * converts it with the mint's decimals.
+ */
+
+/**
+ * @typedef {Object} MintInfo
+ * @property {import('@solana/web3.js').PublicKey} programId Token program owning the mint: Token or Token-2022
+ * @property {number} decimals
+ * @private
+ */
+
+/**
+ * @typedef {TransactionFormat & BuildOptionsBase} BuildOptions
+ * `version` and `lookupTables` only apply to the transaction builders.
+ */
+
+/**
+ * @typedef {Object} BuildOptionsBase
+ * @property {number} [computeUnitLimit] Adds a `setComputeUnitLimit` instruction
+ * @property {import('@solana/web3.js').PublicKey|string} [owner] User who stakes or unstakes and signs, defaults to the wallet; no signer is needed
+ * @property {FeePayer} [feePayer] Fee and rent payer, defaults to the owner
+ * @property {boolean} [validateBalance=true] False skips the owner's balance check, for transactions that run later
+ */
+
+/**
+ * Base class for the errors the client raises itself; RPC failures are
+ * thrown as web3.js reports them. `code` is stable across releases and safe
+ * to match on; messages are not.
+ */
+export class SynatraError extends Error {
   /**
-   * @param {string} rpcUrl
-   * @param {import('@solana/web3.js').Keypair} [userKeypair]
-   * @param {string} [synatraApiUrl=SYNATRA_API_URL]
-   * @param {number} [priorityFeeMicroLamports=0]
-   * @param {boolean} [enableLogging=false]
+   * @param {string} message
+   * @param {string} [code="SYNATRA_ERROR"]
+   * @param {Object} [context] Extra fields copied onto the error; `cause` becomes the standard error cause
    */
-  constructor(
-    rpcUrl,
-    userKeypair = null,
-    synatraApiUrl = SYNATRA_API_URL,
-    priorityFeeMicroLamports = 0,
-    enableLogging = false
-  ) {
-    /** @type {import('@solana/web3.js').PublicKey} */
-    this.programPublicKey = new PublicKey(SYNATRA_PROGRAM_ADDRESS);
-    /** @type {import('@solana/web3.js').Connection} */
-    this.connection = new Connection(rpcUrl, 'confirmed');
-    /** @type {import('@coral-xyz/anchor').AnchorProvider} */
-    this.provider = new AnchorProvider(
-      this.connection,
-      userKeypair ? new Wallet(userKeypair) : {},
-      {
-        commitment: 'confirmed',
+  constructor(message, code = "SYNATRA_ERROR", context = {}) {
+    const { cause, ...fields } = context;
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = new.target.name;
+    /** @type {string} */
+    this.code = code;
+    Object.assign(this, fields);
+  }
+}
+
+/** An argument failed validation. `field` names it when known. */
+export class ValidationError extends SynatraError {
+  /**
+   * @param {string} message
+   * @param {{ field?: string }} [context]
+   */
+  constructor(message, context = {}) {
+    super(message, "INVALID_ARGUMENT", context);
+  }
+}
+
+/** The client options are invalid or point at mismatched deployments. */
+export class ConfigurationError extends SynatraError {
+  /**
+   * @param {string} message
+   * @param {{ option?: string }} [context]
+   */
+  constructor(message, context = {}) {
+    super(message, "INVALID_CONFIGURATION", context);
+  }
+}
+
+/** The operation needs a wallet and none is set. */
+export class WalletNotSetError extends SynatraError {
+  constructor() {
+    super("No wallet set", "WALLET_NOT_SET");
+  }
+}
+
+/** No Synatra pool account exists for `poolId`. */
+export class PoolNotFoundError extends SynatraError {
+  /**
+   * @param {number} poolId
+   */
+  constructor(poolId) {
+    super("Pool not found", "POOL_NOT_FOUND", { poolId });
+    /** @type {number} */
+    this.poolId = poolId;
+  }
+}
+
+/**
+ * A balance cannot cover an operation: the user's, checked before sending,
+ * or the pool's, reported by the program as `NotEnoughBalance`.
+ */
+export class InsufficientBalanceError extends SynatraError {
+  /**
+   * @param {string} message
+   * @param {{ poolId?: number, mint?: string, required?: Amount, available?: Amount, programErrorCode?: number, cause?: unknown }} [context]
+   */
+  constructor(message, context = {}) {
+    super(message, "INSUFFICIENT_BALANCE", context);
+  }
+}
+
+/** Staking would mint more receipt tokens than the pool's `receiptMaxSupply` allows. */
+export class MaxSupplyExceededError extends SynatraError {
+  /**
+   * @param {string} message
+   * @param {{ poolId?: number, required?: Amount, available?: Amount, programErrorCode?: number }} [context]
+   */
+  constructor(message, context = {}) {
+    super(message, "MAX_SUPPLY_EXCEEDED", context);
+  }
+}
+
+/** The Synatra program or the runtime rejected a transaction. */
+export class ProgramError extends SynatraError {
+  /**
+   * @param {string} message
+   * @param {{ programErrorCode?: number|null, programErrorName?: string, instructionIndex?: number|null, logs?: string[] }} [context]
+   */
+  constructor(message, context = {}) {
+    super(message, "PROGRAM_ERROR", context);
+  }
+}
+
+/** A Synatra API request failed. `status` is null for network errors. */
+export class ApiError extends SynatraError {
+  /**
+   * @param {string} message
+   * @param {{ status?: number|null, url?: string, cause?: unknown }} [context]
+   */
+  constructor(message, context = {}) {
+    super(message, "API_ERROR", { status: null, ...context });
+  }
+}
+
+/**
+ * A transaction was sent, but its status could not be read. It may still
+ * land: look it up by `signature` until the chain passes `lastValidBlockHeight`.
+ */
+export class TransactionStatusUnknownError extends SynatraError {
+  /**
+   * @param {string} message
+   * @param {{ signature: string, lastValidBlockHeight: number, cause?: unknown }} context
+   */
+  constructor(message, context) {
+    super(message, "TRANSACTION_STATUS_UNKNOWN", context);
+  }
+}
+
+/** A claim did not reach the awaited status in time. */
+export class ClaimTimeoutError extends SynatraError {
+  /**
+   * @param {string} message
+   * @param {{ claimAddress?: string, status?: ClaimStatus|null }} [context]
+   */
+  constructor(message, context = {}) {
+    super(message, "CLAIM_TIMEOUT", context);
+  }
+}
+
+/**
+ * Maps a decoded program error to the matching typed error.
+ * @param {ProgramErrorInfo} info
+ * @param {string} message
+ * @param {{ poolId?: number, logs?: string[] }} [context]
+ * @returns {SynatraError}
+ */
+const toProgramError = (info, message, context = {}) => {
+  const fields = {
+    ...context,
+    programErrorCode: info.code,
+    programErrorName: info.name,
+    instructionIndex: info.instructionIndex,
+  };
+  switch (info.name) {
+    case "MaxSupplyExceeded":
+      return new MaxSupplyExceededError(message, fields);
+    case "NotEnoughBalance":
+      return new InsufficientBalanceError(message, fields);
+    default:
+      return new ProgramError(message, fields);
+  }
+};
+
+/**
+ * Maps a preflight issue to the error `stake` and `unstake` throw for it.
+ * @param {PreflightIssue} issue
+ * @returns {SynatraError}
+ */
+const toPreflightError = ({ code, message, ...context }) => {
+  switch (code) {
+    case "WALLET_NOT_SET":
+      return new WalletNotSetError();
+    case "MAX_SUPPLY_EXCEEDED":
+      return new MaxSupplyExceededError(message, context);
+    default:
+      return new InsufficientBalanceError(message, context);
+  }
+};
+
+/**
+ * Whether serializing a transaction failed only because it does not fit in a
+ * packet: legacy transactions throw "Transaction too large", or overrun the
+ * message buffer when far too large; v0 messages overrun their buffer.
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+const isTransactionTooLarge = (err) =>
+  err?.code === "ERR_OUT_OF_RANGE" ||
+  /Transaction too large|encoding overruns/.test(err?.message ?? "");
+
+/**
+ * @param {import('@solana/web3.js').TransactionInstruction} instruction
+ * @returns {import('@solana/web3.js').PublicKey[]} Accounts the instruction write-locks
+ */
+const writableKeys = (instruction) =>
+  instruction.keys.filter((key) => key.isWritable).map((key) => key.pubkey);
+
+/**
+ * Whether an unstake failed because its claim PDA was derived from a stale
+ * pool nonce: another unstake took the nonce first, so the seeds no longer
+ * match or the claim account already exists. Creating an existing account
+ * fails in the system program with `Custom: 0` (`AccountAlreadyInUse`),
+ * reported at the unstake instruction; it is the only instruction in an
+ * unstake transaction that can fail with a custom code below Anchor's.
+ * @param {Pick<ProgramErrorInfo, 'code'|'name'>|null} info
+ * @param {string[]} [logs]
+ * @returns {boolean}
+ */
+const isNonceConflict = (info, logs = []) =>
+  info?.code === LangErrorCode.ConstraintSeeds ||
+  (info?.code === 0 && info.name === "Custom") ||
+  logs.some((line) => line.includes("already in use"));
+
+/**
+ * Follows a claim from pending to fulfilled to claimed by polling its
+ * ClaimRecord and, when an API URL is set, the Synatra API. The record has
+ * no claimed flag, so only the API reports `claimed`.
+ *
+ * Emits `pending`, `fulfilled` and `claimed` once each as the claim reaches
+ * them, `status` on every transition, and `error` for failed polls and
+ * timeouts. Statuses never move backwards and may be skipped between polls.
+ * Create one with `SynatraClient#trackClaim`.
+ */
+export class ClaimTracker {
+  /**
+   * @param {SynatraClient} client
+   * @param {import('@solana/web3.js').PublicKey} claimAddress
+   * @param {ClaimTrackerOptions} [options]
+   */
+  constructor(client, claimAddress, options = {}) {
+    const {
+      until = "fulfilled",
+      timeout,
+      pollIntervalMs = DEFAULT_CLAIM_POLL_INTERVAL_MS,
+      user,
+    } = options;
+    /** @type {import('@solana/web3.js').PublicKey} */
+    this.address = claimAddress;
+    /** @type {'fulfilled'|'claimed'} */
+    this.until = until;
+    /** @type {ClaimStatus|null} */
+    this.status = null;
+    /** @type {ClaimUpdate|null} Update of the latest transition */
+    this.lastUpdate = null;
+    /**
+     * Resolves with the update that reached `until`, rejects on timeout.
+     * @type {Promise<ClaimUpdate>}
+     */
+    this.done = new Promise((resolve, reject) => {
+      this._resolve = resolve;
+      this._reject = reject;
+    });
+    // Listeners may be used without awaiting `done`
+    this.done.catch(() => {});
+
+    this._client = client;
+    this._user = user ?? client.userPublicKey ?? null;
+    this._pollIntervalMs = pollIntervalMs;
+    this._listeners = new Map();
+    this._stopped = false;
+    this._pollTimer = null;
+    this._timeoutTimer =
+      timeout === undefined
+        ? null
+        : setTimeout(() => {
+            const err = new ClaimTimeoutError(
+              `Claim did not reach ${until} within ${timeout}ms`,
+              { claimAddress: claimAddress.toBase58(), status: this.status }
+            );
+            this._emit("error", err);
+            this._finish(err);
+          }, timeout);
+    this._poll();
+  }
+
+  /**
+   * @param {'pending'|'fulfilled'|'claimed'|'status'|'error'} event
+   * @param {(payload: any) => void} listener Receives a `ClaimUpdate`, or the error for `error`
+   * @returns {ClaimTracker}
+   */
+  on(event, listener) {
+    if (!this._listeners.has(event)) this._listeners.set(event, new Set());
+    this._listeners.get(event).add(listener);
+    return this;
+  }
+
+  /**
+   * @param {string} event
+   * @param {(payload: any) => void} listener
+   * @returns {ClaimTracker}
+   */
+  off(event, listener) {
+    this._listeners.get(event)?.delete(listener);
+    return this;
+  }
+
+  /**
+   * Stops polling. `done` stays pending if `until` was not reached.
+   */
+  stop() {
+    this._stopped = true;
+    clearTimeout(this._pollTimer);
+    clearTimeout(this._timeoutTimer);
+  }
+
+  /**
+   * @param {string} event
+   * @param {any} payload
+   * @private
+   */
+  _emit(event, payload) {
+    for (const listener of [...(this._listeners.get(event) ?? [])]) {
+      try {
+        listener(payload);
+      } catch (err) {
+        if (this._client.enableLogging) {
+          this._client.logger.error(`claim ${event} listener failed:`, err);
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {ClaimUpdate|Error} outcome
+   * @private
+   */
+  _finish(outcome) {
+    this.stop();
+    if (outcome instanceof Error) this._reject(outcome);
+    else this._resolve(outcome);
+  }
+
+  /**
+   * @private
+   */
+  async _poll() {
+    try {
+      await this._check();
+    } catch (err) {
+      this._emit("error", err);
+    }
+    if (!this._stopped) {
+      this._pollTimer = setTimeout(() => this._poll(), this._pollIntervalMs);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _check() {
+    const client = this._client;
+    const record = await client.program.account.claimRecord.fetchNullable(this.address);
+    if (this._stopped) return;
+    const onchain = record ? client._normalizeClaimRecord(this.address, record) : null;
+    if (onchain) this._user ??= onchain.user;
+
+    let api = null;
+    if (client.synatraApiUrl && this._user) {
+      try {
+        const { claims } = await client._fetchClaims(new PublicKey(this._user));
+        api = claims.find((claim) => claim.address === this.address.toBase58()) ?? null;
+      } catch (err) {
+        // The on-chain status is still worth reporting
+        this._emit("error", err);
+      }
+      if (this._stopped) return;
+    }
+
+    let status = null;
+    if (api?.claimed) status = "claimed";
+    else if (onchain?.fulfilled || api?.fulfilled) status = "fulfilled";
+    else if (onchain || api) status = "pending";
+    if (status === null) return;
+
+    if (CLAIM_STATUSES.indexOf(status) <= CLAIM_STATUSES.indexOf(this.status)) return;
+    const update = { status, address: this.address.toBase58(), onchain, api };
+    this.status = status;
+    this.lastUpdate = update;
+    this._emit(status, update);
+    this._emit("status", update);
+    if (CLAIM_STATUSES.indexOf(status) >= CLAIM_STATUSES.indexOf(this.until)) {
+      this._finish(update);
+    }
+  }
+}
+
+export class SynatraClient {
+  /**
+   * @param {string} [rpcUrl] Defaults to the cluster's public RPC endpoint
+   * @param {import('@solana/web3.js').Keypair|WalletSigner|null} [userKeypair] Signer, or null for a read-only client
+   * @param {string|null} [synatraApiUrl] Defaults to the cluster's Synatra API URL
+   * @param {number|'auto'} [priorityFeeMicroLamports=0]
+   * @param {boolean} [enableLogging=false]
+   * @param {ClientOptions} [options]
+   */
+  constructor(
+    rpcUrl,
+    userKeypair = null,
+    synatraApiUrl = undefined,
+    priorityFeeMicroLamports = 0,
+    enableLogging = false,
+    options = {}
+  ) {
+    const { cluster, programId, apiUrl } = SynatraClient._resolveCluster(
+      options.cluster,
+      options.programId,
+      synatraApiUrl
+    );
+    const commitment = options.commitment ?? 'confirmed';
+    if (!COMMITMENTS.includes(commitment)) {
+      throw new ConfigurationError(`Invalid commitment: ${commitment}`, { option: "commitment" });
+    }
+    /** @type {import('@solana/web3.js').Commitment} */
+    this.commitment = commitment;
+    /** @type {Cluster|undefined} */
+    this.cluster = cluster;
+    /** @type {import('@solana/web3.js').PublicKey} */
+    this.programPublicKey = programId;
+    /** @type {import('@solana/web3.js').Connection} */
+    this.connection = new Connection(
+      rpcUrl ?? CLUSTERS[cluster ?? "mainnet"].rpcUrl,
+      commitment
+    );
+    /** @type {import('@coral-xyz/anchor').AnchorProvider} */
+    this.provider = new AnchorProvider(this.connection, READ_ONLY_WALLET, {
+      commitment,
+    })
+    // Anchor snapshots publicKey at construction, read it from the signer
+    // instead so it follows an adapter that connects later
+    Object.defineProperty(this.provider, "publicKey", {
+      get: () => this.provider.wallet.publicKey ?? undefined,
+      configurable: true,
+    });
+    /** @type {WalletSigner|null} */
+    this.wallet = null;
+    try {
+      this.setWallet(userKeypair);
+    } catch (err) {
+      throw new ConfigurationError("Invalid wallet", { option: "wallet", cause: err });
+    }
+    /** @type {import('@coral-xyz/anchor').Program} */
+    this.program = new Program(
+      { ...idl, address: programId.toBase58() },
+      this.provider
+    )
+    /** @type {number} */
+    this.priorityFeeMicroLamports = 0;
+    /** @type {AutoPriorityFeeOptions|null} */
+    this.autoPriorityFee = null;
+    try {
+      this.setPriorityFee(priorityFeeMicroLamports);
+    } catch (err) {
+      throw new ConfigurationError("Invalid priority fee", { option: "priorityFee", cause: err });
+    }
+    const computeUnitMargin = options.computeUnitMargin ?? DEFAULT_COMPUTE_UNIT_MARGIN;
+    if (!Number.isFinite(computeUnitMargin) || computeUnitMargin < 0) {
+      throw new ConfigurationError(`Invalid computeUnitMargin: ${computeUnitMargin}`, {
+        option: "computeUnitMargin",
+      });
+    }
+    /** @type {number} */
+    this.computeUnitMargin = computeUnitMargin;
+    if (options.send !== undefined && !SynatraClient._isValidSendConfig(options.send)) {
+      throw new ConfigurationError("Invalid send options", { option: "send" });
+    }
+    /** @type {Required<SendConfig>} */
+    this.sendConfig = {
+      maxRetries: DEFAULT_SEND_RETRIES,
+      rebroadcastIntervalMs: DEFAULT_REBROADCAST_INTERVAL_MS,
+      commitment,
+      ...options.send,
+    };
+    const amountMode = options.amountMode ?? "number";
+    if (!AMOUNT_MODES.includes(amountMode)) {
+      throw new ConfigurationError(`Invalid amountMode: ${amountMode}`, { option: "amountMode" });
+    }
+    /** @type {'number'|'bigint'} */
+    this.amountMode = amountMode;
+    if (options.api !== undefined && !SynatraClient._isValidApiConfig(options.api)) {
+      throw new ConfigurationError("Invalid api options", { option: "api" });
+    }
+    /** @type {ApiConfig & Required<Omit<ApiConfig, 'fetch'>>} */
+    this.apiConfig = {
+      timeoutMs: DEFAULT_API_TIMEOUT_MS,
+      maxRetries: DEFAULT_API_RETRIES,
+      retryDelayMs: DEFAULT_API_RETRY_DELAY_MS,
+      maxRetryDelayMs: DEFAULT_API_MAX_RETRY_DELAY_MS,
+      ...options.api,
+    };
+    /** @type {Map<string, MintInfo>} Mint token programs and decimals, which never change */
+    this._mints = new Map();
+    /** @type {import('@solana/web3.js').PublicKey} */
+    this.globalPublicKey = this._getPda("global");
+    /** @type {string|null} */
+    this.synatraApiUrl = apiUrl;
+    /** @type {boolean} */
+    this.enableLogging = enableLogging;
+    const logger = options.logger ?? console;
+    if (typeof logger?.error !== "function") {
+      throw new ConfigurationError("Invalid logger, it needs an error method", {
+        option: "logger",
+      });
+    }
+    /** @type {Logger} */
+    this.logger = logger;
+    setProvider(this.provider);
+  }
+
+  /**
+   * Creates a client from an options object. Every field is validated and
+   * unknown fields are rejected.
+   * @param {CreateOptions} [options]
+   * @returns {SynatraClient}
+   */
+  static create(options = {}) {
+    SynatraClient._validateCreateOptions(options);
+    const {
+      rpcUrl,
+      wallet = null,
+      apiUrl,
+      priorityFee = 0,
+      commitment,
+      logger,
+      enableLogging = logger !== undefined,
+      cluster,
+      programId,
+      computeUnitMargin,
+      send,
+      amountMode,
+      api,
+    } = options;
+    return new SynatraClient(rpcUrl, wallet, apiUrl, priorityFee, enableLogging, {
+      cluster,
+      programId,
+      commitment,
+      logger,
+      computeUnitMargin,
+      send,
+      amountMode,
+      api,
+    });
+  }
+
+  /**
+   * @param {CreateOptions} options
+   * @returns {void}
+   * @private
+   */
+  static _validateCreateOptions(options) {
+    if (options === null || typeof options !== "object" || Array.isArray(options)) {
+      throw new ConfigurationError("Options must be an object");
+    }
+    const isUrl = (value) => {
+      try {
+        return ["http:", "https:"].includes(new URL(value).protocol);
+      } catch (err) {
+        return false;
+      }
+    };
+    const validators = {
+      rpcUrl: (value) => isUrl(value),
+      wallet: (value) => value === null || value instanceof Keypair || isWalletSigner(value),
+      apiUrl: (value) => value === null || isUrl(value),
+      priorityFee: (value) => value === "auto" || (Number.isSafeInteger(value) && value >= 0),
+      commitment: (value) => COMMITMENTS.includes(value),
+      logger: (value) => typeof value?.error === "function",
+      enableLogging: (value) => typeof value === "boolean",
+      cluster: (value) => Object.hasOwn(CLUSTERS, value),
+      programId: (value) => typeof value === "string" || value instanceof PublicKey,
+      computeUnitMargin: (value) => Number.isFinite(value) && value >= 0,
+      send: (value) => SynatraClient._isValidSendConfig(value),
+      amountMode: (value) => AMOUNT_MODES.includes(value),
+      api: (value) => SynatraClient._isValidApiConfig(value),
+    };
+    for (const [key, value] of Object.entries(options)) {
+      if (!Object.hasOwn(validators, key)) {
+        throw new ConfigurationError(`Unknown option: ${key}`, { option: key });
+      }
+      if (value !== undefined && !validators[key](value)) {
+        throw new ConfigurationError(`Invalid option: ${key}`, { option: key });
+      }
+    }
+  }
+
+  /**
+   * @param {SendConfig} config
+   * @returns {boolean}
+   * @private
+   */
+  static _isValidSendConfig(config) {
+    if (config === null || typeof config !== "object") return false;
+    const { maxRetries, rebroadcastIntervalMs, commitment, ...rest } = config;
+    return (
+      Object.keys(rest).length === 0 &&
+      (maxRetries === undefined || (Number.isSafeInteger(maxRetries) && maxRetries >= 0)) &&
+      (rebroadcastIntervalMs === undefined ||
+        (Number.isFinite(rebroadcastIntervalMs) && rebroadcastIntervalMs >= 0)) &&
+      (commitment === undefined || COMMITMENTS.includes(commitment))
+    );
+  }
+
+  /**
+   * @param {ApiConfig} config
+   * @returns {boolean}
+   * @private
+   */
+  static _isValidApiConfig(config) {
+    if (config === null || typeof config !== "object") return false;
+    const { timeoutMs, maxRetries, retryDelayMs, maxRetryDelayMs, fetch, ...rest } = config;
+    const isDuration = (value) => value === undefined || (Number.isFinite(value) && value >= 0);
+    return (
+      Object.keys(rest).length === 0 &&
+      (timeoutMs === undefined || (Number.isFinite(timeoutMs) && timeoutMs > 0)) &&
+      (maxRetries === undefined || (Number.isSafeInteger(maxRetries) && maxRetries >= 0)) &&
+      isDuration(retryDelayMs) &&
+      isDuration(maxRetryDelayMs) &&
+      (fetch === undefined || typeof fetch === "function")
+    );
+  }
+
+  /**
+   * Resolves the cluster, program ID and API URL so they all point at the
+   * same deployment. Without either option the client targets mainnet; a
+   * program ID alone selects the matching preset, or a custom deployment
+   * without a default API URL.
+   * @param {Cluster} [cluster]
+   * @param {string|import('@solana/web3.js').PublicKey} [programId]
+   * @param {string|null} [apiUrl]
+   * @returns {{ cluster: Cluster|undefined, programId: import('@solana/web3.js').PublicKey, apiUrl: string|null }}
+   * @private
+   */
+  static _resolveCluster(cluster, programId, apiUrl) {
+    if (cluster !== undefined && !Object.hasOwn(CLUSTERS, cluster)) {
+      throw new ConfigurationError(`Unknown cluster: ${cluster}`, { option: "cluster" });
+    }
+
+    let programPublicKey;
+    try {
+      programPublicKey = new PublicKey(
+        programId ?? CLUSTERS[cluster ?? "mainnet"].programId
+      );
+    } catch (err) {
+      throw new ConfigurationError(`Invalid program ID: ${programId}`, {
+        option: "programId",
+        cause: err,
+      });
+    }
+
+    if (cluster === undefined) {
+      cluster = programId === undefined
+        ? "mainnet"
+        : Object.keys(CLUSTERS).find(
+          (name) =>
+            name !== "localnet" &&
+            CLUSTERS[name].programId === programPublicKey.toBase58()
+        );
+    }
+
+    const preset = cluster ? CLUSTERS[cluster] : undefined;
+    if (
+      preset &&
+      cluster !== "localnet" &&
+      preset.programId !== programPublicKey.toBase58()
+    ) {
+      throw new ConfigurationError(
+        `Program ID ${programPublicKey.toBase58()} does not match the ${cluster} deployment`,
+        { option: "programId" }
+      );
+    }
+    if (cluster !== "mainnet" && apiUrl === SYNATRA_API_URL) {
+      throw new ConfigurationError(
+        `The mainnet Synatra API cannot be used with a ${cluster ?? "custom"} program`,
+        { option: "apiUrl" }
+      );
+    }
+
+    return {
+      cluster,
+      programId: programPublicKey,
+      apiUrl: apiUrl === undefined ? preset?.apiUrl ?? null : apiUrl,
+    };
+  }
+
+  /**
+   * Public key of the current wallet. Undefined for read-only clients and
+   * while a wallet adapter is disconnected.
+   * @type {import('@solana/web3.js').PublicKey|undefined}
+   */
+  get userPublicKey() {
+    return this.wallet?.publicKey ?? undefined;
+  }
+
+  /**
+   * Switches the signer, updating `userPublicKey` and the Anchor provider
+   * together. Null makes the client read-only.
+   * @param {import('@solana/web3.js').Keypair|WalletSigner|null} wallet
+   * @returns {void}
+   */
+  setWallet(wallet) {
+    const signer = toWalletSigner(wallet, "wallet");
+    this.wallet = signer;
+    // The program reads the wallet through the provider
+    this.provider.wallet = signer ?? READ_ONLY_WALLET;
+  }
+
+  /**
+   * Sets a fixed priority fee, or `'auto'` to estimate it for each transaction
+   * from recent prioritization fees on the accounts it writes to. In auto
+   * mode the last fixed fee is the fallback when estimation fails.
+   * @param {number|'auto'} priorityFeeMicroLamports
+   * @param {AutoPriorityFeeOptions} [options] Only used with `'auto'`
+   * @returns {void}
+   */
+  setPriorityFee(priorityFeeMicroLamports, options = {}) {
+    const isMicroLamports = (value) => Number.isSafeInteger(value) && value >= 0;
+    if (priorityFeeMicroLamports !== "auto") {
+      if (!isMicroLamports(priorityFeeMicroLamports)) {
+        throw new ValidationError(
+          "Priority fee must be a non-negative integer of microlamports or 'auto'",
+          { field: "priorityFeeMicroLamports" }
+        );
+      }
+      this.priorityFeeMicroLamports = priorityFeeMicroLamports;
+      this.autoPriorityFee = null;
+      return;
+    }
+
+    const { percentile = DEFAULT_PRIORITY_FEE_PERCENTILE, min = 0, max } = options;
+    if (!Number.isFinite(percentile) || percentile < 0 || percentile > 100) {
+      throw new ValidationError("Priority fee percentile must be between 0 and 100", {
+        field: "percentile",
+      });
+    }
+    for (const [field, value] of [["min", min], ["max", max]]) {
+      if (value !== undefined && !isMicroLamports(value)) {
+        throw new ValidationError(`Priority fee ${field} must be a non-negative integer`, {
+          field,
+        });
+      }
+    }
+    if (max !== undefined && max < min) {
+      throw new ValidationError("Priority fee max must not be below min", { field: "max" });
+    }
+    this.autoPriorityFee = { percentile, min, max };
+  }
+
+  /**
+   * @param {number} [microLamports]
+   * @returns {import('@solana/web3.js').TransactionInstruction}
+   * @private
+   */
+  _addPriorityFee(microLamports = this.priorityFeeMicroLamports) {
+    return ComputeBudgetProgram.setComputeUnitPrice({ microLamports });
+  }
+
+  /**
+   * @param {number|undefined} computeUnitLimit
+   * @param {number} [microLamports]
+   * @returns {import('@solana/web3.js').TransactionInstruction[]}
+   * @private
+   */
+  _computeBudgetInstructions(computeUnitLimit, microLamports) {
+    if (computeUnitLimit === undefined) return [this._addPriorityFee(microLamports)];
+    return [
+      ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnitLimit }),
+      this._addPriorityFee(microLamports),
+    ];
+  }
+
+  /**
+   * Returns the fixed priority fee, or in auto mode the configured percentile
+   * of recent prioritization fees paid by transactions locking `writableAccounts`.
+   * @param {import('@solana/web3.js').PublicKey[]} writableAccounts
+   * @returns {Promise<number>}
+   * @private
+   */
+  async _resolvePriorityFee(writableAccounts) {
+    if (!this.autoPriorityFee) return this.priorityFeeMicroLamports;
+
+    const { percentile, min, max } = this.autoPriorityFee;
+    let recentFees;
+    try {
+      recentFees = await this.connection.getRecentPrioritizationFees({
+        lockedWritableAccounts: writableAccounts,
+      });
+    } catch (err) {
+      if (this.enableLogging) {
+        this.logger.error(`priority fee estimation failed:`, err);
+      }
+      return this.priorityFeeMicroLamports;
+    }
+
+    const fees = recentFees.map((f) => f.prioritizationFee).sort((a, b) => a - b);
+    let fee = 0;
+    if (fees.length > 0) {
+      const rank = Math.max(Math.ceil((percentile / 100) * fees.length) - 1, 0);
+      fee = fees[rank];
+    }
+    fee = Math.max(fee, min);
+    return max === undefined ? fee : Math.min(fee, max);
+  }
+
+  /**
+   * @param {PreparedInstruction} prepared
+   * @param {number} [computeUnitLimit]
+   * @returns {Promise<{ instructions: import('@solana/web3.js').TransactionInstruction[], priorityFeeMicroLamports: number }>}
+   * @private
+   */
+  async _withComputeBudget(prepared, computeUnitLimit) {
+    const priorityFeeMicroLamports = await this._resolvePriorityFee(
+      prepared.writableAccounts
+    );
+    return {
+      instructions: [
+        ...this._computeBudgetInstructions(computeUnitLimit, priorityFeeMicroLamports),
+        prepared.instruction,
+      ],
+      priorityFeeMicroLamports,
+    };
+  }
+
+  /**
+   * @param {string} seed
+   * @returns {import('@solana/web3.js').PublicKey}
+   * @private
+   */
+  _getPda(seed) {
+    const encoder = new TextEncoder();
+    const [pdaPublicKey] = PublicKey.findProgramAddressSync(
+      [encoder.encode(seed)],
+      this.programPublicKey
+    );
+    return pdaPublicKey;
+  }
+
+  /**
+   * @returns {void}
+   * @private
+   */
+  _validateWallet() {
+    if (!this.userPublicKey) throw new WalletNotSetError();
+  }
+
+  /**
+   * @param {number} poolId
+   * @returns {void}
+   * @private
+   */
+  _validatePoolId(poolId) {
+    if (typeof poolId !== "number" || poolId < 0) {
+      throw new ValidationError("Invalid pool ID", { field: "poolId" });
+    }
+  }
+
+  /**
+   * @param {Amount} amount
+   * @returns {void}
+   * @private
+   */
+  _validateAmount(amount) {
+    if (this.amountMode === "bigint") {
+      if (typeof amount !== "bigint" || amount <= 0n) {
+        throw new ValidationError("Amount must be a positive bigint", { field: "amount" });
+      }
+      if (amount > U64_MAX) {
+        throw new ValidationError("Amount exceeds u64", { field: "amount" });
+      }
+      return;
+    }
+    if (typeof amount !== "number" || amount <= 0) {
+      throw new ValidationError("Amount must be positive", { field: "amount" });
+    }
+    if (!Number.isInteger(amount)) {
+      throw new ValidationError("Amount must be a whole number of base units", {
+        field: "amount",
+      });
+    }
+    if (!Number.isSafeInteger(amount)) {
+      throw new ValidationError("Amount exceeds the safe number range, use amountMode 'bigint'", {
+        field: "amount",
+      });
+    }
+  }
+
+  /**
+   * Converts a u64 read from chain (BN, bigint, number or decimal string) to
+   * the client's amount mode.
+   * @param {import('bn.js')|bigint|number|string} value
+   * @returns {Amount}
+   * @private
+   */
+  _toAmount(value) {
+    const amount = BigInt(value.toString());
+    return this.amountMode === "bigint" ? amount : Number(amount);
+  }
+
+  /**
+   * @param {Amount} amount
+   * @returns {import('bn.js')}
+   * @private
+   */
+  _toBN(amount) {
+    return new BN(typeof amount === "bigint" ? amount.toString() : amount);
+  }
+
+  /**
+   * @param {import('@solana/web3.js').PublicKey} tokenMint
+   * @param {Amount} requiredAmount
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _validateTokenBalance(owner, tokenMint, requiredAmount) {
+    // Token-2022 transfer fees are withheld from what the recipient gets, so
+    // the sender only needs the amount itself
+    const balance = await this._readBalance(owner, tokenMint);
+    const issue = this._balanceIssue(balance, BigInt(requiredAmount));
+    if (issue) throw toPreflightError(issue);
+  }
+
+  /**
+   * Reads an owner's balance of a mint: lamports for SOL, otherwise the
+   * balance of the owner's associated token account.
+   * @param {import('@solana/web3.js').PublicKey} owner
+   * @param {import('@solana/web3.js').PublicKey} mint
+   * @returns {Promise<{ mint: string, owner: string, account: string, exists: boolean, available: bigint }>}
+   * @private
+   */
+  async _readBalance(owner, mint) {
+    if (mint.toString() === SOLANA_TOKEN_ADDRESS) {
+      const available = BigInt(await this.connection.getBalance(owner));
+      return {
+        mint: SOLANA_TOKEN_ADDRESS,
+        owner: owner.toBase58(),
+        account: owner.toBase58(),
+        exists: true,
+        available,
+      };
+    }
+    const { programId } = await this._getMintInfo(mint);
+    const account = this._getAta(owner, mint, programId);
+    const balance = { mint: mint.toBase58(), owner: owner.toBase58(), account: account.toBase58() };
+    try {
+      const { value } = await this.connection.getTokenAccountBalance(account);
+      return { ...balance, exists: true, available: BigInt(value.amount) };
+    } catch (err) {
+      // RPC nodes report a missing account as an invalid param; anything
+      // else is a real failure to read the balance
+      if (!/could not find account/i.test(err?.message ?? "")) throw err;
+      return { ...balance, exists: false, available: 0n };
+    }
+  }
+
+  /**
+   * @param {{ mint: string, owner: string, account: string, exists: boolean, available: bigint }} balance
+   * @param {bigint} required
+   * @param {string} [breakdown] What `required` is made of, for SOL
+   * @returns {PreflightIssue|null}
+   * @private
+   */
+  _balanceIssue(balance, required, breakdown) {
+    // Balances are compared as bigints; `<` between bigints and numbers is exact
+    if (balance.available >= required) return null;
+    const context = {
+      mint: balance.mint,
+      required: this._toAmount(required),
+      available: this._toAmount(balance.available),
+    };
+    if (!balance.exists) {
+      return {
+        code: "TOKEN_ACCOUNT_NOT_FOUND",
+        message: `Token account not found: ${balance.account} (mint ${balance.mint}, owner ${balance.owner})`,
+        ...context,
+      };
+    }
+    const message =
+      balance.mint === SOLANA_TOKEN_ADDRESS
+        ? `Insufficient SOL balance: ${balance.owner} has ${balance.available} lamports, needs ${required}`
+        : `Insufficient token balance: ${balance.account} has ${balance.available}, needs ${required}`;
+    return {
+      code: "INSUFFICIENT_BALANCE",
+      message: breakdown ? `${message} (${breakdown})` : message,
+      ...context,
+    };
+  }
+
+  /**
+   * @param {import('@solana/web3.js').PublicKey} userPublicKey
+   * @param {import('@solana/web3.js').PublicKey} tokenPublicKey
+   * @param {import('@solana/web3.js').PublicKey} [tokenProgramId=TOKEN_PROGRAM_ID] Program owning the mint
+   * @returns {import('@solana/web3.js').PublicKey}
+   * @private
+   */
+  _getAta(userPublicKey, tokenPublicKey, tokenProgramId = TOKEN_PROGRAM_ID) {
+    const [ataPublicKey] = PublicKey.findProgramAddressSync(
+      [
+        userPublicKey.toBuffer(),
+        tokenProgramId.toBuffer(),
+        tokenPublicKey.toBuffer(),
+      ],
+      ASSOCIATED_TOKEN_PROGRAM_ID
+    );
+    return ataPublicKey;
+  }
+
+  /**
+   * @param {number} poolId
+   * @returns {import('@solana/web3.js').PublicKey}
+   * @private
+   */
+  _getPoolPublicKey(poolId) {
+    return this._getPda(`pool-${poolId}`);
+  }
+
+  /**
+   * @param {number} poolId
+   * @param {number} nonce
+   * @returns {import('@solana/web3.js').PublicKey}
+   * @private
+   */
+  _getClaimRecordPublicKey(poolId, nonce) {
+    return this._getPda(`claim-${poolId}-${nonce}`);
+  }
+
+  /**
+   * Applies a fixed-point pool rate to an amount, rounding down like the program.
+   * @param {Amount} amount
+   * @param {Amount} rate
+   * @returns {bigint}
+   * @private
+   */
+  _applyRate(amount, rate) {
+    return (BigInt(amount) * BigInt(rate)) / RATE_PRECISION;
+  }
+
+  /**
+   * @param {Pool} pool
+   * @returns {Promise<bigint>}
+   * @private
+   */
+  async _getReceiptSupply(pool) {
+    const tokenMint = await this._fetchMint(pool.receiptToken);
+    return tokenMint.supply;
+  }
+
+  /**
+   * Reads a mint owned by either token program and caches its program and
+   * decimals.
+   * @param {import('@solana/web3.js').PublicKey} mint
+   * @returns {Promise<import('@solana/spl-token').Mint>}
+   * @private
+   */
+  async _fetchMint(mint) {
+    const info = await this.connection.getAccountInfo(mint);
+    if (!info) {
+      throw new ValidationError(`Mint not found: ${mint.toBase58()}`, { field: "mint" });
+    }
+    if (!info.owner.equals(TOKEN_PROGRAM_ID) && !info.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+      throw new ValidationError(`Not a token mint: ${mint.toBase58()}`, { field: "mint" });
+    }
+    const tokenMint = unpackMint(mint, info, info.owner);
+    this._mints.set(mint.toBase58(), { programId: info.owner, decimals: tokenMint.decimals });
+    return tokenMint;
+  }
+
+  /**
+   * @param {import('@solana/web3.js').PublicKey} mint
+   * @returns {Promise<MintInfo>} Cached after the first read
+   * @private
+   */
+  async _getMintInfo(mint) {
+    const address = mint.toBase58();
+    if (!this._mints.has(address)) await this._fetchMint(mint);
+    return this._mints.get(address);
+  }
+
+  /**
+   * Token-2022 transfer fee for sending `amount` of `mint` in the current
+   * epoch, 0 for mints without the transfer fee extension and for SOL.
+   * @param {import('@solana/web3.js').PublicKey} mint
+   * @param {Amount} amount
+   * @returns {Promise<bigint>}
+   * @private
+   */
+  async _getTransferFee(mint, amount) {
+    if (mint.toBase58() === SOLANA_TOKEN_ADDRESS) return 0n;
+    const { programId } = await this._getMintInfo(mint);
+    if (!programId.equals(TOKEN_2022_PROGRAM_ID)) return 0n;
+    // Fee settings can be rescheduled, so they are read fresh
+    const feeConfig = getTransferFeeConfig(await this._fetchMint(mint));
+    if (!feeConfig) return 0n;
+    const { epoch } = await this.connection.getEpochInfo();
+    return calculateEpochFee(feeConfig, BigInt(epoch), BigInt(amount));
+  }
+
+  /**
+   * @param {Object} pool Decoded `Pool` account
+   * @returns {Pool}
+   * @private
+   */
+  _normalizePool(pool) {
+    pool.id = Number(pool.id);
+    pool.stakeRate = this._toAmount(pool.stakeRate);
+    pool.unstakeRate = this._toAmount(pool.unstakeRate);
+    pool.receiptMaxSupply = this._toAmount(pool.receiptMaxSupply);
+    pool.nonce = Number(pool.nonce);
+    return pool;
+  }
+
+  /**
+   * @param {number} poolId
+   * @returns {Promise<Pool|null>} Null when the pool account does not exist;
+   *   RPC failures are thrown
+   */
+  async getPool(poolId) {
+    this._validatePoolId(poolId);
+    const poolPublicKey = this._getPoolPublicKey(poolId);
+    const pool = await this.program.account.pool.fetchNullable(poolPublicKey);
+    return pool ? this._normalizePool(pool) : null;
+  }
+
+  /**
+   * Subscribes to updates of a pool account, such as oracle rate updates.
+   * Updates are decoded and normalized like `getPool`, and compared with the
+   * previous state, starting from the pool as it was when subscribing.
+   * @param {number} poolId
+   * @param {(pool: Pool, change: PoolChange) => void} callback
+   * @returns {() => Promise<void>} Unsubscribes
+   */
+  onPoolChange(poolId, callback) {
+    this._validatePoolId(poolId);
+    const poolPublicKey = this._getPoolPublicKey(poolId);
+
+    // Updates are handled one at a time, after the initial state is known
+    let previous = null;
+    let queue = this.getPool(poolId).then(
+      (pool) => {
+        previous = pool;
+      },
+      (err) => {
+        // Without the initial state the first update reports every field
+        if (this.enableLogging) {
+          this.logger.error(`initial pool read failed:`, err);
+        }
+      }
+    );
+    const handleUpdate = (accountInfo, context) => {
+      let pool;
+      try {
+        pool = this._normalizePool(
+          this.program.coder.accounts.decode("pool", accountInfo.data)
+        );
+      } catch (err) {
+        if (this.enableLogging) {
+          this.logger.error(`invalid pool update:`, err);
+        }
+        return;
+      }
+      const changed = POOL_WATCHED_FIELDS.filter(
+        (field) => !previous || previous[field] !== pool[field]
+      );
+      const change = { changed, previous, slot: context.slot };
+      previous = pool;
+      callback(pool, change);
+    };
+
+    const subscriptionId = this.connection.onAccountChange(
+      poolPublicKey,
+      (accountInfo, context) => {
+        queue = queue
+          .then(() => handleUpdate(accountInfo, context))
+          .catch((err) => {
+            if (this.enableLogging) {
+              this.logger.error(`pool change callback failed:`, err);
+            }
+          });
+      },
+      { commitment: this.commitment }
+    );
+    return () => this.connection.removeAccountChangeListener(subscriptionId);
+  }
+
+  /**
+   * Lists every Synatra pool on chain, sorted by ID, with the decimals and
+   * current supply of each stake and receipt mint.
+   * @returns {Promise<PoolInfo[]>}
+   */
+  async listPools() {
+    const accounts = await this.program.account.pool.all();
+    const pools = accounts
+      .map(({ publicKey, account }) => ({
+        ...this._normalizePool(account),
+        address: publicKey,
+      }))
+      .sort((a, b) => a.id - b.id);
+
+    const mintAddresses = [
+      ...new Set(
+        pools
+          .flatMap((pool) => [pool.stakeToken, pool.receiptToken])
+          .map((mint) => mint.toBase58())
+          .filter((mint) => mint !== SOLANA_TOKEN_ADDRESS)
+      ),
+    ].map((mint) => new PublicKey(mint));
+    const mintInfos = mintAddresses.length
+      ? await this.connection.getMultipleAccountsInfo(mintAddresses)
+      : [];
+
+    const mints = new Map();
+    mintAddresses.forEach((address, i) => {
+      const info = mintInfos[i];
+      if (!info) return;
+      try {
+        mints.set(address.toBase58(), unpackMint(address, info, info.owner));
+      } catch (err) {
+        if (this.enableLogging) {
+          this.logger.error(`invalid mint ${address.toBase58()}:`, err);
+        }
+      }
+    });
+    const describeMint = (mint) => {
+      if (mint.toBase58() === SOLANA_TOKEN_ADDRESS) {
+        return { decimals: SOL_DECIMALS, supply: null };
+      }
+      const info = mints.get(mint.toBase58());
+      return info
+        ? { decimals: info.decimals, supply: this._toAmount(info.supply) }
+        : { decimals: null, supply: null };
+    };
+
+    return pools.map((pool) => {
+      const stakeMint = describeMint(pool.stakeToken);
+      const receiptMint = describeMint(pool.receiptToken);
+      return {
+        ...pool,
+        stakeTokenDecimals: stakeMint.decimals,
+        stakeTokenSupply: stakeMint.supply,
+        receiptTokenDecimals: receiptMint.decimals,
+        receiptTokenSupply: receiptMint.supply,
+      };
+    });
+  }
+
+  /**
+   * @param {number} poolId
+   * @returns {Promise<Amount>}
+   */
+  async getCurrentSupply(poolId) {
+    const pool = await this.getPool(poolId);
+    if (!pool) throw new PoolNotFoundError(poolId);
+    return this._toAmount(await this._getReceiptSupply(pool));
+  }
+
+  /**
+   * Reads a mint's decimals, cached per mint. Token and Token-2022 mints are
+   * supported, and SOL reports 9.
+   * @param {import('@solana/web3.js').PublicKey|string} mint
+   * @returns {Promise<number>}
+   */
+  async getMintDecimals(mint) {
+    if (mint.toString() === SOLANA_TOKEN_ADDRESS) return SOL_DECIMALS;
+    const { decimals } = await this._getMintInfo(new PublicKey(mint));
+    return decimals;
+  }
+
+  /**
+   * @param {number} poolId
+   * @returns {Promise<{ stakeTokenDecimals: number, receiptTokenDecimals: number }>}
+   */
+  async getPoolDecimals(poolId) {
+    const pool = await this.getPool(poolId);
+    if (!pool) throw new PoolNotFoundError(poolId);
+    const [stakeTokenDecimals, receiptTokenDecimals] = await Promise.all([
+      this.getMintDecimals(pool.stakeToken),
+      this.getMintDecimals(pool.receiptToken),
+    ]);
+    return { stakeTokenDecimals, receiptTokenDecimals };
+  }
+
+  /**
+   * Formats a claim's amounts for display: `receiptAmount` in receipt
+   * token units and `claimAmount` in stake token units.
+   * @param {Claim|OnchainClaim} claim From `getClaims`, `getClaimRecord` or `getOnchainClaims`
+   * @returns {Promise<{ receiptAmount: string, claimAmount: string }>}
+   */
+  async formatClaim(claim) {
+    const { stakeTokenDecimals, receiptTokenDecimals } = await this.getPoolDecimals(
+      Number(claim.poolId)
+    );
+    return {
+      receiptAmount: formatUnits(claim.receiptAmount, receiptTokenDecimals),
+      claimAmount: formatUnits(claim.claimAmount, stakeTokenDecimals),
+    };
+  }
+
+  /**
+   * Converts a display-unit amount of `mint` to base units in the client's
+   * amount mode.
+   * @param {import('@solana/web3.js').PublicKey} mint
+   * @param {string|number} uiAmount
+   * @returns {Promise<Amount>}
+   * @private
+   */
+  async _fromUiAmount(mint, uiAmount) {
+    const amount = parseUnits(uiAmount, await this.getMintDecimals(mint));
+    if (this.amountMode === "bigint") return amount;
+    if (amount > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new ValidationError("Amount exceeds the safe number range, use amountMode 'bigint'", {
+        field: "amount",
+      });
+    }
+    return Number(amount);
+  }
+
+  /**
+   * Resolves a send amount given in `units` to base units, using the pool's
+   * stake token for stakes and its receipt token for unstakes.
+   * @param {number} poolId
+   * @param {Amount|string} amount
+   * @param {'raw'|'ui'} units
+   * @param {'stakeToken'|'receiptToken'} mintField
+   * @returns {Promise<Amount>}
+   * @private
+   */
+  async _resolveUnits(poolId, amount, units, mintField) {
+    if (units === "raw") return amount;
+    if (units !== "ui") {
+      throw new ValidationError(`Invalid units: ${units}`, { field: "units" });
+    }
+    const pool = await this.getPool(poolId);
+    if (!pool) throw new PoolNotFoundError(poolId);
+    return this._fromUiAmount(pool[mintField], amount);
+  }
+
+  /**
+   * Quotes how many receipt tokens staking `amount` mints, and whether the
+   * pool's remaining receipt supply can cover it.
+   * @param {number} poolId
+   * @param {Amount} amount
+   * @returns {Promise<StakeQuote>}
+   */
+  async previewStake(poolId, amount) {
+    this._validateAmount(amount);
+
+    const pool = await this.getPool(poolId);
+    if (!pool) throw new PoolNotFoundError(poolId);
+    return this._quoteStake(pool, amount);
+  }
+
+  /**
+   * @param {Pool} pool
+   * @param {Amount} amount
+   * @returns {Promise<StakeQuote>}
+   * @private
+   */
+  async _quoteStake(pool, amount) {
+    const [currentSupply, transferFee] = await Promise.all([
+      this._getReceiptSupply(pool),
+      this._getTransferFee(pool.stakeToken, amount),
+    ]);
+    // Receipt tokens are minted for what reaches the pool, net of the fee
+    const receiptAmount = this._applyRate(BigInt(amount) - transferFee, pool.stakeRate);
+    const receiptMaxSupply = BigInt(pool.receiptMaxSupply);
+    const remainingSupply =
+      receiptMaxSupply > currentSupply ? receiptMaxSupply - currentSupply : 0n;
+
+    return {
+      poolId: pool.id,
+      amount,
+      transferFee: this._toAmount(transferFee),
+      receiptAmount: this._toAmount(receiptAmount),
+      stakeRate: pool.stakeRate,
+      currentSupply: this._toAmount(currentSupply),
+      receiptMaxSupply: pool.receiptMaxSupply,
+      remainingSupply: this._toAmount(remainingSupply),
+      exceedsMaxSupply: receiptAmount > remainingSupply,
+    };
+  }
+
+  /**
+   * Quotes the underlying amount a claim for `receiptAmount` will be worth.
+   * @param {number} poolId
+   * @param {Amount} receiptAmount
+   * @returns {Promise<UnstakeQuote>}
+   */
+  async previewUnstake(poolId, receiptAmount) {
+    this._validateAmount(receiptAmount);
+
+    const pool = await this.getPool(poolId);
+    if (!pool) throw new PoolNotFoundError(poolId);
+
+    const claimAmount = this._applyRate(receiptAmount, pool.unstakeRate);
+    const transferFee = await this._getTransferFee(pool.stakeToken, claimAmount);
+    return {
+      poolId,
+      receiptAmount,
+      claimAmount: this._toAmount(claimAmount),
+      transferFee: this._toAmount(transferFee),
+      unstakeRate: pool.unstakeRate,
+    };
+  }
+
+  /**
+   * Checks what a stake or unstake needs before sending it: the wallet, the
+   * token balance and the fee payer's SOL for fees and rent, the wallet's
+   * token accounts and, for stakes, the pool's remaining receipt supply.
+   * `stake` and `unstake` throw the error for the first issue found.
+   * @param {'stake'|'unstake'} op
+   * @param {number} poolId
+   * @param {Amount} amount Stake token amount for stakes, receipt token amount for unstakes
+   * @param {{ feePayer?: FeePayer }} [options]
+   * @returns {Promise<PreflightReport>}
+   */
+  async preflight(op, poolId, amount, options = {}) {
+    if (!BATCH_OPS.includes(op)) {
+      throw new ValidationError(`Invalid operation: ${op}`, { field: "op" });
+    }
+    this._validateAmount(amount);
+    const feePayer = this.userPublicKey
+      ? this._resolveFeePayer(options.feePayer).publicKey
+      : null;
+    const pool = await this.getPool(poolId);
+    if (!pool) throw new PoolNotFoundError(poolId);
+    return this._preflight(op, pool, amount, feePayer);
+  }
+
+  /**
+   * @param {'stake'|'unstake'} op
+   * @param {Pool} pool
+   * @param {Amount} amount
+   * @param {import('@solana/web3.js').PublicKey|null} feePayer Null without a wallet
+   * @returns {Promise<PreflightReport>}
+   * @private
+   */
+  async _preflight(op, pool, amount, feePayer) {
+    const wallet = this.userPublicKey;
+    const quote = op === "stake" ? await this._quoteStake(pool, amount) : null;
+    const supplyIssue = quote?.exceedsMaxSupply
+      ? {
+          code: "MAX_SUPPLY_EXCEEDED",
+          message: `Staking ${amount} mints ${quote.receiptAmount} receipt tokens, but pool ${pool.id} can only mint ${quote.remainingSupply} more under its max supply of ${quote.receiptMaxSupply}`,
+          poolId: pool.id,
+        }
+      : null;
+    const report = {
+      op,
+      poolId: pool.id,
+      amount,
+      walletSet: Boolean(wallet),
+      feePayer: feePayer?.toBase58() ?? null,
+      accounts: null,
+      fees: null,
+      balances: null,
+      quote,
+    };
+    if (!wallet) {
+      const issues = [{ code: "WALLET_NOT_SET", message: "No wallet set" }];
+      if (supplyIssue) issues.push(supplyIssue);
+      return { ...report, issues, ok: false };
+    }
+
+    const isSol = pool.stakeToken.toString() === SOLANA_TOKEN_ADDRESS;
+    const receiptTokenProgram = (await this._getMintInfo(pool.receiptToken)).programId;
+    const receiptAta = this._getAta(wallet, pool.receiptToken, receiptTokenProgram);
+    const stakeAta = isSol
+      ? null
+      : this._getAta(wallet, pool.stakeToken, (await this._getMintInfo(pool.stakeToken)).programId);
+    // Reading the spent token's balance tells whether its account exists;
+    // the other account is looked up directly
+    const spent = await this._readBalance(
+      wallet,
+      op === "stake" ? pool.stakeToken : pool.receiptToken
+    );
+    const lookUp = async (address) => ({
+      address: address.toBase58(),
+      exists: (await this.connection.getAccountInfo(address)) !== null,
+    });
+    const accounts =
+      op === "stake"
+        ? {
+            stakeAta: stakeAta && { address: stakeAta.toBase58(), exists: spent.exists },
+            receiptAta: await lookUp(receiptAta),
+          }
+        : {
+            stakeAta: stakeAta && (await lookUp(stakeAta)),
+            receiptAta: { address: receiptAta.toBase58(), exists: spent.exists },
+          };
+
+    // Stakes create the receipt token account if needed; unstakes always
+    // create a claim record
+    let rentSize = 0;
+    if (op === "unstake") {
+      rentSize = this.program.account.claimRecord.size;
+    } else if (!accounts.receiptAta.exists) {
+      rentSize = receiptTokenProgram.equals(TOKEN_2022_PROGRAM_ID)
+        ? getAccountLenForMint(await this._fetchMint(pool.receiptToken))
+        : ACCOUNT_SIZE;
+    }
+    const rent = rentSize
+      ? BigInt(await this.connection.getMinimumBalanceForRentExemption(rentSize))
+      : 0n;
+    const priorityFee = await this._resolvePriorityFee([
+      this.programPublicKey,
+      this._getPoolPublicKey(pool.id),
+      pool.receiptToken,
+    ]);
+    const signatures = feePayer.equals(wallet) ? 1n : 2n;
+    const transactionFee =
+      LAMPORTS_PER_SIGNATURE * signatures +
+      BigInt(Math.ceil((priorityFee * DEFAULT_COMPUTE_UNIT_LIMIT) / 1_000_000));
+
+    const costs = [
+      [transactionFee, "in fees"],
+      [rent, "for rent"],
+    ];
+    const requirements = [];
+    if (op === "stake" && isSol && feePayer.equals(wallet)) {
+      requirements.push([spent, [[BigInt(amount), "to stake"], ...costs]]);
+    } else {
+      requirements.push([spent, [[BigInt(amount), `to ${op}`]]]);
+      const sol = await this._readBalance(feePayer, new PublicKey(SOLANA_TOKEN_ADDRESS));
+      requirements.push([sol, costs]);
+    }
+
+    const issues = [];
+    const balances = requirements.map(([balance, parts]) => {
+      const required = parts.reduce((sum, [value]) => sum + value, 0n);
+      const breakdown =
+        balance.mint === SOLANA_TOKEN_ADDRESS
+          ? parts
+              .filter(([value]) => value > 0n)
+              .map(([value, label]) => `${value} ${label}`)
+              .join(", ")
+          : undefined;
+      const issue = this._balanceIssue(balance, required, breakdown);
+      if (issue) issues.push(issue);
+      return {
+        ...balance,
+        available: this._toAmount(balance.available),
+        required: this._toAmount(required),
+      };
+    });
+    if (supplyIssue) issues.push(supplyIssue);
+
+    return {
+      ...report,
+      accounts,
+      fees: { transactionFee: this._toAmount(transactionFee), rent: this._toAmount(rent) },
+      balances,
+      issues,
+      ok: issues.length === 0,
+    };
+  }
+
+  /**
+   * Validates a stake and builds its `stakeSol` or `stakeToken` instruction.
+   * @param {number} poolId
+   * @param {Amount} amount
+   * @param {PrepareOptions} [options]
+   * @returns {Promise<PreparedInstruction>}
+   * @private
+   */
+  async _prepareStake(poolId, amount, { owner, payer, pool, validateBalance = true } = {}) {
+    owner ??= this._resolveOwner();
+    this._validateAmount(amount);
+    payer ??= owner;
+
+    pool ??= await this.getPool(poolId);
+    if (!pool) throw new PoolNotFoundError(poolId);
+    const poolPublicKey = this._getPoolPublicKey(poolId);
+
+    // Validate user has enough balance
+    const { stakeToken, receiptToken } = pool;
+    if (validateBalance) await this._validateTokenBalance(owner, stakeToken, amount);
+
+    const { programId: receiptTokenProgram } = await this._getMintInfo(receiptToken);
+    const userReceiptAta = this._getAta(owner, receiptToken, receiptTokenProgram);
+
+    if (stakeToken.toString() === SOLANA_TOKEN_ADDRESS) {
+      const instruction = await this.program.methods
+        .stakeSol(this._toBN(amount))
+        .accounts({
+          signer: owner,
+          payer,
+          pool: poolPublicKey,
+          receiptToken,
+          userReceiptAta,
+          associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID,
+          tokenProgram: receiptTokenProgram,
+          systemProgram: SystemProgram.programId,
+        })
+        .instruction();
+      return {
+        poolId,
+        instruction,
+        writableAccounts: writableKeys(instruction),
+        payer,
+      };
+    }
+
+    // stake_token takes a single token program for the transfer and the mint
+    const { programId: stakeTokenProgram } = await this._getMintInfo(stakeToken);
+    if (!stakeTokenProgram.equals(receiptTokenProgram)) {
+      throw new ValidationError(
+        `Pool ${poolId} stake and receipt mints are owned by different token programs`,
+        { field: "poolId" }
+      );
+    }
+    const transferFee = await this._getTransferFee(stakeToken, amount);
+    if (transferFee >= BigInt(amount)) {
+      throw new ValidationError("Amount does not cover the stake token transfer fee", {
+        field: "amount",
+      });
+    }
+    const userStakeAta = this._getAta(owner, stakeToken, stakeTokenProgram);
+    const poolStakeAta = this._getAta(poolPublicKey, stakeToken, stakeTokenProgram);
+
+    const instruction = await this.program.methods
+      .stakeToken(this._toBN(amount))
+      .accounts({
+        signer: owner,
+        payer,
+        pool: poolPublicKey,
+        stakeToken,
+        receiptToken,
+        userStakeAta,
+        userReceiptAta,
+        poolStakeAta,
+        associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID,
+        tokenProgram: stakeTokenProgram,
+        systemProgram: SystemProgram.programId,
+      })
+      .instruction();
+    return {
+      poolId,
+      instruction,
+      writableAccounts: writableKeys(instruction),
+      payer,
+    };
+  }
+
+  /**
+   * Validates an unstake and builds its `unstake` instruction.
+   * @param {number} poolId
+   * @param {Amount} receiptAmount
+   * @param {PrepareOptions} [options]
+   * @returns {Promise<PreparedInstruction>}
+   * @private
+   */
+  async _prepareUnstake(poolId, receiptAmount, { owner, payer, pool, validateBalance = true } = {}) {
+    owner ??= this._resolveOwner();
+    this._validateAmount(receiptAmount);
+    payer ??= owner;
+
+    pool ??= await this.getPool(poolId);
+    if (!pool) throw new PoolNotFoundError(poolId);
+    const poolPublicKey = this._getPoolPublicKey(poolId);
+
+    // Validate user has enough receipt tokens
+    const { receiptToken, nonce } = pool;
+    if (validateBalance) await this._validateTokenBalance(owner, receiptToken, receiptAmount);
+    const claimRecordPublicKey = this._getClaimRecordPublicKey(poolId, nonce);
+    const { programId: receiptTokenProgram } = await this._getMintInfo(receiptToken);
+    const userReceiptAta = this._getAta(owner, receiptToken, receiptTokenProgram);
+
+    const instruction = await this.program.methods
+      .unstake(this._toBN(receiptAmount))
+      .accounts({
+        signer: owner,
+        payer,
+        pool: poolPublicKey,
+        receiptToken,
+        userReceiptAta,
+        claimRecord: claimRecordPublicKey,
+        associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID,
+        tokenProgram: receiptTokenProgram,
+        systemProgram: SystemProgram.programId,
+      })
+      .instruction();
+    return {
+      poolId,
+      instruction,
+      writableAccounts: writableKeys(instruction),
+      payer,
+      claimRecord: claimRecordPublicKey,
+      nonce,
+    };
+  }
+
+  /**
+   * Builds the stake instructions without sending them: the priority fee
+   * instruction followed by `stakeSol` or `stakeToken`.
+   * @param {number} poolId
+   * @param {Amount} amount
+   * @param {BuildOptions} [options]
+   * @returns {Promise<import('@solana/web3.js').TransactionInstruction[]>}
+   */
+  async buildStakeInstructions(poolId, amount, options = {}) {
+    const { owner, payer } = this._resolveBuildAccounts(options);
+    const prepared = await this._prepareStake(poolId, amount, {
+      owner,
+      payer,
+      validateBalance: options.validateBalance ?? true,
+    });
+    const { instructions } = await this._withComputeBudget(prepared, options.computeUnitLimit);
+    return instructions;
+  }
+
+  /**
+   * Builds the unstake instructions without sending them: the priority fee
+   * instruction followed by `unstake`.
+   * @param {number} poolId
+   * @param {Amount} receiptAmount
+   * @param {BuildOptions} [options]
+   * @returns {Promise<import('@solana/web3.js').TransactionInstruction[]>}
+   */
+  async buildUnstakeInstructions(poolId, receiptAmount, options = {}) {
+    const { owner, payer } = this._resolveBuildAccounts(options);
+    const prepared = await this._prepareUnstake(poolId, receiptAmount, {
+      owner,
+      payer,
+      validateBalance: options.validateBalance ?? true,
+    });
+    const { instructions } = await this._withComputeBudget(prepared, options.computeUnitLimit);
+    return instructions;
+  }
+
+  /**
+   * Builds an unsigned stake transaction with a recent blockhash and the
+   * owner as fee payer, ready to be signed and sent elsewhere.
+   * Legacy unless `version: 0` is passed.
+   * @param {number} poolId
+   * @param {Amount} amount
+   * @param {BuildOptions} [options]
+   * @returns {Promise<import('@solana/web3.js').Transaction|import('@solana/web3.js').VersionedTransaction>}
+   */
+  async buildStakeTransaction(poolId, amount, options = {}) {
+    const format = await this._resolveTransactionFormat(options);
+    const instructions = await this.buildStakeInstructions(poolId, amount, options);
+    return this._buildTransaction(instructions, {
+      ...format,
+      feePayer: this._resolveBuildAccounts(options).payer,
+    });
+  }
+
+  /**
+   * Builds an unsigned unstake transaction with a recent blockhash and the
+   * owner as fee payer, ready to be signed and sent elsewhere.
+   * Legacy unless `version: 0` is passed.
+   * @param {number} poolId
+   * @param {Amount} receiptAmount
+   * @param {BuildOptions} [options]
+   * @returns {Promise<import('@solana/web3.js').Transaction|import('@solana/web3.js').VersionedTransaction>}
+   */
+  async buildUnstakeTransaction(poolId, receiptAmount, options = {}) {
+    const format = await this._resolveTransactionFormat(options);
+    const instructions = await this.buildUnstakeInstructions(
+      poolId,
+      receiptAmount,
+      options
+    );
+    return this._buildTransaction(instructions, {
+      ...format,
+      feePayer: this._resolveBuildAccounts(options).payer,
+    });
+  }
+
+  /**
+   * Builds a stake paid for by a sponsor and signs it with the wallet. The
+   * sponsor adds the fee payer signature and sends it.
+   * @param {number} poolId
+   * @param {Amount} amount
+   * @param {FeePayer} feePayer Sponsor paying fees and rent
+   * @param {Omit<BuildOptions, 'feePayer'|'owner'>} [options] The wallet is the owner
+   * @returns {Promise<import('@solana/web3.js').Transaction|import('@solana/web3.js').VersionedTransaction>} Missing only the sponsor's signature
+   */
+  async buildSponsoredStakeTransaction(poolId, amount, feePayer, options = {}) {
+    this._requireSponsor(feePayer);
+    const transaction = await this.buildStakeTransaction(poolId, amount, {
+      ...options,
+      owner: undefined,
+      feePayer,
+    });
+    return this.wallet.signTransaction(transaction);
+  }
+
+  /**
+   * Builds an unstake paid for by a sponsor and signs it with the wallet.
+   * The sponsor adds the fee payer signature and sends it.
+   * @param {number} poolId
+   * @param {Amount} receiptAmount
+   * @param {FeePayer} feePayer Sponsor paying fees and rent
+   * @param {Omit<BuildOptions, 'feePayer'|'owner'>} [options] The wallet is the owner
+   * @returns {Promise<import('@solana/web3.js').Transaction|import('@solana/web3.js').VersionedTransaction>} Missing only the sponsor's signature
+   */
+  async buildSponsoredUnstakeTransaction(poolId, receiptAmount, feePayer, options = {}) {
+    this._requireSponsor(feePayer);
+    const transaction = await this.buildUnstakeTransaction(poolId, receiptAmount, {
+      ...options,
+      owner: undefined,
+      feePayer,
+    });
+    return this.wallet.signTransaction(transaction);
+  }
+
+  /**
+   * @param {BuildOptions} options
+   * @returns {{ owner: import('@solana/web3.js').PublicKey, payer: import('@solana/web3.js').PublicKey }}
+   *   The owner defaults to the wallet and the payer to the owner
+   * @private
+   */
+  _resolveBuildAccounts({ owner, feePayer }) {
+    const ownerPublicKey = this._resolveOwner(owner);
+    const payer =
+      feePayer === undefined || feePayer === null
+        ? ownerPublicKey
+        : this._resolveFeePayer(feePayer).publicKey;
+    return { owner: ownerPublicKey, payer };
+  }
+
+  /**
+   * @param {FeePayer} feePayer
+   * @returns {void}
+   * @private
+   */
+  _requireSponsor(feePayer) {
+    if (feePayer === undefined || feePayer === null) {
+      throw new ValidationError("A sponsored transaction needs a feePayer", { field: "feePayer" });
+    }
+  }
+
+  /**
+   * @param {FeePayer|undefined} feePayer
+   * @returns {{ publicKey: import('@solana/web3.js').PublicKey|undefined, signer: WalletSigner|null }}
+   *   The wallet's key and no extra signer when `feePayer` is not set
+   * @private
+   */
+  _resolveFeePayer(feePayer) {
+    if (feePayer === undefined || feePayer === null) {
+      return { publicKey: this.userPublicKey, signer: null };
+    }
+    if (feePayer instanceof PublicKey || typeof feePayer === "string") {
+      try {
+        return { publicKey: new PublicKey(feePayer), signer: null };
+      } catch (err) {
+        throw new ValidationError("Invalid fee payer address", { field: "feePayer", cause: err });
+      }
+    }
+    const signer = toWalletSigner(feePayer, "feePayer");
+    if (!signer.publicKey) {
+      throw new ValidationError("Fee payer wallet is not connected", { field: "feePayer" });
+    }
+    return { publicKey: signer.publicKey, signer };
+  }
+
+  /**
+   * Like `_resolveFeePayer`, but a sponsor given only by address cannot
+   * sign, so it cannot be used to send.
+   * @param {FeePayer|undefined} feePayer
+   * @returns {{ publicKey: import('@solana/web3.js').PublicKey|undefined, signer: WalletSigner|null }}
+   * @private
+   */
+  _resolveSendFeePayer(feePayer) {
+    const payer = this._resolveFeePayer(feePayer);
+    if (feePayer !== undefined && feePayer !== null && !payer.signer) {
+      throw new ValidationError(
+        "Sending needs a fee payer that can sign; use buildSponsoredStakeTransaction or buildSponsoredUnstakeTransaction for remote sponsors",
+        { field: "feePayer" }
+      );
+    }
+    return payer;
+  }
+
+  /**
+   * Lists the accounts a pool's stake and unstake instructions share between
+   * users, for creating an address lookup table to pass as `lookupTables`.
+   * Signers, claim records, user token accounts and invoked programs cannot
+   * or need not be looked up and are left out.
+   * @param {number} poolId
+   * @returns {Promise<import('@solana/web3.js').PublicKey[]>}
+   */
+  async getLookupTableAddresses(poolId) {
+    const pool = await this.getPool(poolId);
+    if (!pool) throw new PoolNotFoundError(poolId);
+    const poolPublicKey = this._getPoolPublicKey(poolId);
+    const { stakeToken, receiptToken } = pool;
+    const { programId: tokenProgram } = await this._getMintInfo(receiptToken);
+
+    const addresses = [poolPublicKey, receiptToken];
+    if (stakeToken.toString() !== SOLANA_TOKEN_ADDRESS) {
+      addresses.push(stakeToken, this._getAta(poolPublicKey, stakeToken, tokenProgram));
+    }
+    addresses.push(tokenProgram, ASSOCIATED_TOKEN_PROGRAM_ID, SystemProgram.programId);
+    return addresses;
+  }
+
+  /**
+   * Validates the transaction format and fetches lookup tables given by
+   * address.
+   * @param {TransactionFormat} [format]
+   * @returns {Promise<{ version: 'legacy'|0, lookupTables: import('@solana/web3.js').AddressLookupTableAccount[] }>}
+   * @private
+   */
+  async _resolveTransactionFormat({ version = "legacy", lookupTables } = {}) {
+    if (!TRANSACTION_VERSIONS.includes(version)) {
+      throw new ValidationError(`Invalid transaction version: ${version}`, {
+        field: "version",
+      });
+    }
+    if (lookupTables === undefined) return { version, lookupTables: [] };
+    if (version !== 0) {
+      throw new ValidationError("Address lookup tables need a v0 transaction", {
+        field: "lookupTables",
+      });
+    }
+    if (!Array.isArray(lookupTables)) {
+      throw new ValidationError("lookupTables must be an array", { field: "lookupTables" });
+    }
+
+    const resolved = await Promise.all(
+      lookupTables.map(async (table) => {
+        if (table instanceof AddressLookupTableAccount) return table;
+        let address;
+        try {
+          if (!(table instanceof PublicKey) && typeof table !== "string") {
+            throw new TypeError(`Unexpected ${typeof table}`);
+          }
+          address = new PublicKey(table);
+        } catch (err) {
+          throw new ValidationError("Invalid lookup table address", {
+            field: "lookupTables",
+            cause: err,
+          });
+        }
+        const { value } = await this.connection.getAddressLookupTable(address);
+        if (!value) {
+          throw new ValidationError(`Address lookup table not found: ${address.toBase58()}`, {
+            field: "lookupTables",
+          });
+        }
+        return value;
+      })
+    );
+    return { version, lookupTables: resolved };
+  }
+
+  /**
+   * @param {import('@solana/web3.js').TransactionInstruction[]} instructions
+   * @param {{ feePayer?: import('@solana/web3.js').PublicKey, version?: 'legacy'|0, lookupTables?: import('@solana/web3.js').AddressLookupTableAccount[] }} [format]
+   *   Resolved format; the fee payer defaults to the wallet
+   * @returns {Promise<import('@solana/web3.js').Transaction|import('@solana/web3.js').VersionedTransaction>}
+   * @private
+   */
+  async _buildTransaction(instructions, format = {}) {
+    const { blockhash, lastValidBlockHeight } =
+      await this.connection.getLatestBlockhash();
+    return this._compileTransaction(instructions, {
+      feePayer: this.userPublicKey,
+      ...format,
+      blockhash,
+      lastValidBlockHeight,
+    });
+  }
+
+  /**
+   * @param {import('@solana/web3.js').TransactionInstruction[]} instructions
+   * @param {{ feePayer: import('@solana/web3.js').PublicKey, blockhash: string, lastValidBlockHeight: number, version?: 'legacy'|0, lookupTables?: import('@solana/web3.js').AddressLookupTableAccount[] }} params
+   * @returns {import('@solana/web3.js').Transaction|import('@solana/web3.js').VersionedTransaction}
+   * @private
+   */
+  _compileTransaction(instructions, params) {
+    const {
+      feePayer,
+      blockhash,
+      lastValidBlockHeight,
+      version = "legacy",
+      lookupTables = [],
+    } = params;
+    if (version === "legacy") {
+      return new Transaction({ feePayer, blockhash, lastValidBlockHeight }).add(
+        ...instructions
+      );
+    }
+    const message = new TransactionMessage({
+      payerKey: feePayer,
+      recentBlockhash: blockhash,
+      instructions,
+    }).compileToV0Message(lookupTables);
+    return new VersionedTransaction(message);
+  }
+
+  /**
+   * Signs with the connected wallet, sends and confirms the instructions.
+   * A new blockhash is only signed once the previous attempt's blockhash has
+   * expired without it landing, so the instructions can never execute twice.
+   * @param {import('@solana/web3.js').TransactionInstruction[]} instructions
+   * @param {SendConfig} [config] Overrides for the client's send defaults
+   * @param {{ feePayer?: WalletSigner|null, version?: 'legacy'|0, lookupTables?: import('@solana/web3.js').AddressLookupTableAccount[] }} [transaction]
+   *   Resolved format, and the signer that co-signs and pays fees instead of the wallet
+   * @returns {Promise<Omit<TransactionResult, 'priorityFeeMicroLamports'|'computeUnitLimit'>>}
+   * @private
+   */
+  async _sendInstructions(instructions, config = {}, transaction = {}) {
+    const { feePayer = null, ...format } = transaction;
+    const { maxRetries, rebroadcastIntervalMs, commitment } = {
+      ...this.sendConfig,
+      ...config,
+    };
+
+    let attempts = 0;
+    while (true) {
+      attempts++;
+      const { blockhash, lastValidBlockHeight } =
+        await this.connection.getLatestBlockhash(commitment);
+      const unsigned = this._compileTransaction(instructions, {
+        ...format,
+        feePayer: feePayer?.publicKey ?? this.userPublicKey,
+        blockhash,
+        lastValidBlockHeight,
+      });
+      let signed = await this.wallet.signTransaction(unsigned);
+      if (feePayer) signed = await feePayer.signTransaction(signed);
+
+      const result = await this._confirmRawTransaction(
+        signed.serialize(),
+        transactionSignature(signed),
+        lastValidBlockHeight,
+        { rebroadcastIntervalMs, commitment }
+      );
+      if (result.status !== "expired" || attempts > maxRetries) {
+        return { ...result, attempts };
+      }
+      if (this.enableLogging) {
+        this.logger.error(`transaction ${result.signature} expired, retrying`);
+      }
+    }
+  }
+
+  /**
+   * Broadcasts a signed transaction and rebroadcasts it until it reaches
+   * `commitment`, fails, or its blockhash expires. Failed status reads are
+   * retried; after `MAX_STATUS_POLL_ERRORS` in a row it throws
+   * `TransactionStatusUnknownError` with the signature.
+   * @param {Uint8Array} rawTransaction
+   * @param {string} signature
+   * @param {number} lastValidBlockHeight
+   * @param {{ rebroadcastIntervalMs: number, commitment: import('@solana/web3.js').Commitment }} config
+   * @returns {Promise<{ status: TransactionResult['status'], signature: string, slot: number|null, error: ProgramErrorInfo|null }>}
+   * @private
+   */
+  async _confirmRawTransaction(rawTransaction, signature, lastValidBlockHeight, config) {
+    const { rebroadcastIntervalMs, commitment } = config;
+    const broadcast = async () => {
+      try {
+        await this.connection.sendRawTransaction(rawTransaction, {
+          skipPreflight: true,
+          maxRetries: 0,
+        });
+      } catch (err) {
+        // The transaction may still land from an earlier broadcast
+        if (this.enableLogging) {
+          this.logger.error(`broadcast of ${signature} failed:`, err);
+        }
+      }
+    };
+
+    await broadcast();
+    let pollErrors = 0;
+    while (true) {
+      await sleep(rebroadcastIntervalMs);
+
+      let status;
+      try {
+        status = await this._readSignatureStatus(signature, lastValidBlockHeight, commitment);
+      } catch (err) {
+        pollErrors++;
+        if (pollErrors >= MAX_STATUS_POLL_ERRORS) {
+          throw new TransactionStatusUnknownError(
+            `Could not read the status of transaction ${signature}`,
+            { signature, lastValidBlockHeight, cause: err }
+          );
+        }
+        if (this.enableLogging) {
+          this.logger.error(`status of ${signature} could not be read, retrying:`, err);
+        }
+        continue;
+      }
+      pollErrors = 0;
+      if (status === "expired") {
+        return { status: "expired", signature, slot: null, error: null };
+      }
+
+      if (status?.err) {
+        return {
+          status: "failed",
+          signature,
+          slot: status.slot,
+          error: this._decodeProgramError(status.err),
+        };
+      }
+      if (status && hasCommitment(status.confirmationStatus, commitment)) {
+        return { status: "landed", signature, slot: status.slot, error: null };
+      }
+      if (!status) await broadcast();
+    }
+  }
+
+  /**
+   * @param {string} signature
+   * @param {number} lastValidBlockHeight
+   * @param {import('@solana/web3.js').Commitment} commitment
+   * @returns {Promise<import('@solana/web3.js').SignatureStatus|null|'expired'>}
+   *   null while not yet seen, `expired` once the blockhash expired without it landing
+   * @private
+   */
+  async _readSignatureStatus(signature, lastValidBlockHeight, commitment) {
+    const {
+      value: [status],
+    } = await this.connection.getSignatureStatuses([signature]);
+    if (status) return status;
+    const blockHeight = await this.connection.getBlockHeight(commitment);
+    if (blockHeight <= lastValidBlockHeight) return null;
+    const {
+      value: [landed],
+    } = await this.connection.getSignatureStatuses([signature], {
+      searchTransactionHistory: true,
+    });
+    return landed ?? "expired";
+  }
+
+  /**
+   * Simulates the instructions without signatures, against the latest blockhash.
+   * @param {import('@solana/web3.js').TransactionInstruction[]} instructions
+   * @param {import('@solana/web3.js').PublicKey} [feePayer] Defaults to the wallet
+   * @param {import('@solana/web3.js').AddressLookupTableAccount[]} [lookupTables]
+   * @returns {Promise<SimulationResult>}
+   * @private
+   */
+  async _simulateInstructions(instructions, feePayer = this.userPublicKey, lookupTables = []) {
+    const { blockhash } = await this.connection.getLatestBlockhash();
+    const message = new TransactionMessage({
+      payerKey: feePayer,
+      recentBlockhash: blockhash,
+      instructions,
+    }).compileToV0Message(lookupTables);
+    const { value } = await this.connection.simulateTransaction(
+      new VersionedTransaction(message),
+      { sigVerify: false, replaceRecentBlockhash: true }
+    );
+    const unitsConsumed = value.unitsConsumed ?? 0;
+    return {
+      logs: value.logs ?? [],
+      unitsConsumed,
+      computeUnitLimit: Math.min(
+        unitsConsumed +
+          Math.ceil((unitsConsumed * Math.round(this.computeUnitMargin * 10_000)) / 10_000),
+        MAX_COMPUTE_UNIT_LIMIT
+      ),
+      error: this._decodeProgramError(value.err),
+    };
+  }
+
+  /**
+   * Decodes a transaction error into the Synatra or Anchor error it carries.
+   * @param {import('@solana/web3.js').TransactionError|null} err
+   * @returns {ProgramErrorInfo|null}
+   * @private
+   */
+  _decodeProgramError(err) {
+    if (!err) return null;
+    if (typeof err === "string") {
+      return { code: null, name: err, message: err, instructionIndex: null };
+    }
+    if (!Array.isArray(err.InstructionError)) {
+      const name = Object.keys(err)[0] ?? "UnknownError";
+      return { code: null, name, message: JSON.stringify(err), instructionIndex: null };
+    }
+
+    const [instructionIndex, detail] = err.InstructionError;
+    if (typeof detail?.Custom !== "number") {
+      const name = typeof detail === "string" ? detail : Object.keys(detail)[0];
+      return { code: null, name, message: name, instructionIndex };
+    }
+
+    const code = detail.Custom;
+    const idlError = idl.errors.find((e) => e.code === code);
+    if (idlError) {
+      return { code, name: idlError.name, message: idlError.msg, instructionIndex };
+    }
+    const langName = Object.keys(LangErrorCode).find(
+      (name) => LangErrorCode[name] === code
+    );
+    return {
+      code,
+      name: langName ?? "Custom",
+      message: LangErrorMessage.get(code) ?? `Custom program error: ${code}`,
+      instructionIndex,
+    };
+  }
+
+  /**
+   * Simulates instructions that share a transaction, with their priority
+   * fee, and sizes the compute unit limit from the simulated usage instead
+   * of the 200k default.
+   * @param {PreparedInstruction[]} group Instructions with the same fee payer
+   * @param {import('@solana/web3.js').AddressLookupTableAccount[]} [lookupTables]
+   * @returns {Promise<{ simulation: SimulationResult, instructions: import('@solana/web3.js').TransactionInstruction[], priorityFeeMicroLamports: number, computeUnitLimit: number|undefined }>}
+   *   `instructions` include the compute budget and are ready to send if the simulation succeeded
+   * @private
+   */
+  async _simulateGroup(group, lookupTables = []) {
+    const seen = new Set();
+    const writableAccounts = group
+      .flatMap((prepared) => prepared.writableAccounts)
+      .filter((key) => !seen.has(key.toBase58()) && seen.add(key.toBase58()));
+    const priorityFeeMicroLamports = await this._resolvePriorityFee(writableAccounts);
+    const instructions = group.map((prepared) => prepared.instruction);
+
+    const simulation = await this._simulateInstructions(
+      [...this._computeBudgetInstructions(undefined, priorityFeeMicroLamports), ...instructions],
+      group[0].payer,
+      lookupTables
+    );
+    // Older RPC nodes do not report compute units; keep the default limit then
+    const computeUnitLimit = simulation.unitsConsumed
+      ? simulation.computeUnitLimit
+      : undefined;
+    return {
+      simulation,
+      instructions: [
+        ...this._computeBudgetInstructions(computeUnitLimit, priorityFeeMicroLamports),
+        ...instructions,
+      ],
+      priorityFeeMicroLamports,
+      computeUnitLimit,
+    };
+  }
+
+  /**
+   * Simulates the instruction with its priority fee, then sends it with a
+   * compute unit limit sized from the simulated usage.
+   * @param {PreparedInstruction} prepared
+   * @param {SendConfig} [config]
+   * @param {{ feePayer?: WalletSigner|null, version?: 'legacy'|0, lookupTables?: import('@solana/web3.js').AddressLookupTableAccount[] }} [transaction]
+   *   Resolved format, and the signer for `prepared.payer` when it is not the wallet
+   * @returns {Promise<TransactionResult>}
+   * @private
+   */
+  async _simulateAndSend(prepared, config = {}, transaction = {}) {
+    const { simulation, instructions, priorityFeeMicroLamports, computeUnitLimit } =
+      await this._simulateGroup([prepared], transaction.lookupTables);
+    if (simulation.error) {
+      throw toProgramError(
+        simulation.error,
+        `Simulation failed: ${simulation.error.message}`,
+        { poolId: prepared.poolId, logs: simulation.logs }
+      );
+    }
+    const result = await this._sendInstructions(instructions, config, transaction);
+    return { ...result, priorityFeeMicroLamports, computeUnitLimit };
+  }
+
+  /**
+   * Splits instructions, in order, into as few transactions as fit in a
+   * packet. Sizes include both compute budget instructions, which are added
+   * when each transaction is sent.
+   * @param {PreparedInstruction[]} prepared
+   * @param {{ feePayer: import('@solana/web3.js').PublicKey, version: 'legacy'|0, lookupTables: import('@solana/web3.js').AddressLookupTableAccount[] }} format
+   * @returns {PreparedInstruction[][]}
+   * @private
+   */
+  _packInstructions(prepared, format) {
+    const computeBudget = this._computeBudgetInstructions(MAX_COMPUTE_UNIT_LIMIT, 0);
+    const groups = [];
+    let current = [];
+    for (const item of prepared) {
+      const candidate = [...current, item];
+      const size = this._transactionSize(
+        [...computeBudget, ...candidate.map((p) => p.instruction)],
+        format
+      );
+      if (current.length > 0 && size > PACKET_DATA_SIZE) {
+        groups.push(current);
+        current = [item];
+      } else {
+        current = candidate;
+      }
+    }
+    groups.push(current);
+    return groups;
+  }
+
+  /**
+   * @param {import('@solana/web3.js').TransactionInstruction[]} instructions
+   * @param {{ feePayer: import('@solana/web3.js').PublicKey, version: 'legacy'|0, lookupTables: import('@solana/web3.js').AddressLookupTableAccount[] }} format
+   * @returns {number} Serialized size in bytes with every signature, Infinity when too large to encode
+   * @private
+   */
+  _transactionSize(instructions, format) {
+    try {
+      return this._compileTransaction(instructions, {
+        ...format,
+        blockhash: PublicKey.default.toBase58(),
+        lastValidBlockHeight: 0,
+      }).serialize({ requireAllSignatures: false, verifySignatures: false }).length;
+    } catch (err) {
+      if (isTransactionTooLarge(err)) return Infinity;
+      throw err;
+    }
+  }
+
+  /**
+   * Runs the preflight checks before a send and throws the error for the
+   * first issue.
+   * @param {'stake'|'unstake'} op
+   * @param {number} poolId
+   * @param {Amount} amount
+   * @param {import('@solana/web3.js').PublicKey} feePayer
+   * @returns {Promise<Pool>} The pool the checks read
+   * @private
+   */
+  async _preflightSend(op, poolId, amount, feePayer) {
+    this._validateAmount(amount);
+    const pool = await this.getPool(poolId);
+    if (!pool) throw new PoolNotFoundError(poolId);
+    const { issues } = await this._preflight(op, pool, amount, feePayer);
+    if (issues.length > 0) throw toPreflightError(issues[0]);
+    return pool;
+  }
+
+  /**
+   * @param {number} poolId
+   * @param {Amount|string} amount Base units, or display units with `units: 'ui'`
+   * @param {SendOptions} [options]
+   * @returns {Promise<TransactionResult|SimulationResult>} Send status and fees paid, or the simulation with `simulate: true`
+   */
+  async stake(poolId, amount, options = {}) {
+    const { simulate, units = "raw", feePayer, version, lookupTables, ...config } = options;
+    if (!SynatraClient._isValidSendConfig(config)) {
+      throw new ValidationError("Invalid send options", { field: "options" });
+    }
+    this._validateWallet();
+    const payer = this._resolveSendFeePayer(feePayer);
+    const format = await this._resolveTransactionFormat({ version, lookupTables });
+    amount = await this._resolveUnits(poolId, amount, units, "stakeToken");
+    if (simulate) return this.simulateStake(poolId, amount, { feePayer, ...format });
+    const pool = await this._preflightSend("stake", poolId, amount, payer.publicKey);
+    const prepared = await this._prepareStake(poolId, amount, {
+      payer: payer.publicKey,
+      pool,
+      validateBalance: false,
+    });
+    return this._simulateAndSend(prepared, config, { ...format, feePayer: payer.signer });
+  }
+
+  /**
+   * The claim PDA is derived from the pool nonce read before sending. When
+   * another unstake from the pool takes that nonce first, the pool is read
+   * again and the unstake rebuilt at the new nonce, up to `nonceRetries` times.
+   * @param {number} poolId
+   * @param {Amount|string} receiptAmount Base units, or display units with `units: 'ui'`
+   * @param {SendOptions} [options]
+   * @returns {Promise<UnstakeResult|SimulationResult>} Send status, fees paid and the claim created, or the simulation with `simulate: true`
+   */
+  async unstake(poolId, receiptAmount, options = {}) {
+    const {
+      simulate,
+      units = "raw",
+      feePayer,
+      version,
+      lookupTables,
+      nonceRetries = DEFAULT_NONCE_RETRIES,
+      ...config
+    } = options;
+    if (!SynatraClient._isValidSendConfig(config)) {
+      throw new ValidationError("Invalid send options", { field: "options" });
+    }
+    if (!Number.isSafeInteger(nonceRetries) || nonceRetries < 0) {
+      throw new ValidationError("nonceRetries must be a non-negative integer", {
+        field: "nonceRetries",
+      });
+    }
+    this._validateWallet();
+    const payer = this._resolveSendFeePayer(feePayer);
+    const format = await this._resolveTransactionFormat({ version, lookupTables });
+    receiptAmount = await this._resolveUnits(poolId, receiptAmount, units, "receiptToken");
+    if (simulate) {
+      return this.simulateUnstake(poolId, receiptAmount, { feePayer, ...format });
+    }
+
+    const pool = await this._preflightSend("unstake", poolId, receiptAmount, payer.publicKey);
+    for (let attempt = 1; ; attempt++) {
+      // Retries read the pool again for its new nonce
+      const prepared = await this._prepareUnstake(poolId, receiptAmount, {
+        payer: payer.publicKey,
+        pool: attempt === 1 ? pool : undefined,
+        validateBalance: false,
+      });
+      let result;
+      try {
+        result = await this._simulateAndSend(prepared, config, {
+          ...format,
+          feePayer: payer.signer,
+        });
+      } catch (err) {
+        const conflict =
+          err instanceof ProgramError &&
+          isNonceConflict({ code: err.programErrorCode, name: err.programErrorName }, err.logs);
+        if (!conflict || attempt > nonceRetries) throw err;
+      }
+      const retry =
+        !result ||
+        (result.status === "failed" && isNonceConflict(result.error) && attempt <= nonceRetries);
+      if (!retry) {
+        return {
+          ...result,
+          claimRecord: prepared.claimRecord,
+          nonce: prepared.nonce,
+          nonceAttempts: attempt,
+        };
+      }
+      if (this.enableLogging) {
+        this.logger.error(
+          `pool ${poolId} nonce ${prepared.nonce} was taken by another unstake, retrying`
+        );
+      }
+    }
+  }
+
+  /**
+   * Stakes and unstakes across pools in as few transactions as possible.
+   * Operations keep their order and are packed into transactions up to the
+   * packet size. Each pool is fetched once and each mint's balance checked
+   * once against the batch's total. Transactions are simulated and sent one
+   * after another, since unstakes from one pool create claims at
+   * consecutive nonces.
+   * @param {BatchOperation[]} operations
+   * @param {SendConfig & TransactionFormat & { feePayer?: import('@solana/web3.js').Keypair|WalletSigner }} [options]
+   * @returns {Promise<BatchResult[]>} One result per operation, in order
+   */
+  async batch(operations, options = {}) {
+    const { feePayer, version, lookupTables, ...config } = options;
+    if (!SynatraClient._isValidSendConfig(config)) {
+      throw new ValidationError("Invalid send options", { field: "options" });
+    }
+    this._validateWallet();
+    this._validateBatch(operations);
+    const payer = this._resolveSendFeePayer(feePayer);
+    const format = await this._resolveTransactionFormat({ version, lookupTables });
+
+    const prepared = await this._prepareBatch(operations, payer.publicKey);
+    const groups = this._packInstructions(prepared, { ...format, feePayer: payer.publicKey });
+
+    const results = [];
+    // Pools with an unstake that did not land: later claim nonces are off
+    const stalePools = new Set();
+    for (const [transactionIndex, group] of groups.entries()) {
+      const unstakePools = group
+        .filter((item) => item.claimRecord)
+        .map((item) => item.poolId);
+      if (unstakePools.some((poolId) => stalePools.has(poolId))) {
+        unstakePools.forEach((poolId) => stalePools.add(poolId));
+        if (this.enableLogging) {
+          this.logger.error(
+            `batch transaction ${transactionIndex} skipped: an earlier unstake did not land`
+          );
+        }
+        this._pushBatchResults(results, operations, group, transactionIndex, {
+          status: "skipped",
+          signature: null,
+          slot: null,
+          error: null,
+          attempts: 0,
+          priorityFeeMicroLamports: 0,
+          computeUnitLimit: undefined,
+        });
+        continue;
+      }
+
+      const { simulation, instructions, priorityFeeMicroLamports, computeUnitLimit } =
+        await this._simulateGroup(group, format.lookupTables);
+      let result;
+      if (simulation.error) {
+        if (this.enableLogging) {
+          this.logger.error(
+            `batch transaction ${transactionIndex} failed simulation:`,
+            simulation.error
+          );
+        }
+        result = {
+          status: "failed",
+          signature: null,
+          slot: null,
+          error: simulation.error,
+          attempts: 0,
+        };
+      } else {
+        result = await this._sendInstructions(instructions, config, {
+          ...format,
+          feePayer: payer.signer,
+        });
       }
-    )
-    /** @type {import('@coral-xyz/anchor').Program} */
-    this.program = new Program(idl, this.provider)
-    /** @type {number} */
-    this.priorityFeeMicroLamports = priorityFeeMicroLamports;
-    /** @type {import('@solana/web3.js').PublicKey} */
-    this.globalPublicKey = this._getPda("global");
-    /** @type {import('@solana/web3.js').PublicKey|undefined} */
-    this.userPublicKey = userKeypair ? userKeypair.publicKey : undefined;
-    /** @type {string} */
-    this.synatraApiUrl = synatraApiUrl;
-    /** @type {boolean} */
-    this.enableLogging = enableLogging;
-    setProvider(this.provider);
+      if (result.status !== "landed") {
+        unstakePools.forEach((poolId) => stalePools.add(poolId));
+      }
+
+      this._pushBatchResults(results, operations, group, transactionIndex, {
+        ...result,
+        priorityFeeMicroLamports,
+        computeUnitLimit,
+      });
+    }
+    return results;
   }
 
   /**
-   * @param {import('@coral-xyz/anchor').Wallet} wallet
+   * Appends one result per operation a batch transaction carried.
+   * @param {BatchResult[]} results
+   * @param {BatchOperation[]} operations
+   * @param {PreparedInstruction[]} group
+   * @param {number} transactionIndex
+   * @param {Omit<BatchResult, keyof BatchResultFields>} result
    * @returns {void}
+   * @private
    */
-  setWallet(wallet) {
-    this.provider.wallet = wallet;
-    this.userPublicKey = wallet.publicKey;
+  _pushBatchResults(results, operations, group, transactionIndex, result) {
+    for (const item of group) {
+      const { op } = operations[results.length];
+      results.push({
+        ...result,
+        op,
+        poolId: item.poolId,
+        transactionIndex,
+        ...(op === "unstake" && { claimRecord: item.claimRecord, nonce: item.nonce }),
+      });
+    }
   }
 
   /**
-   * @param {number} priorityFeeMicroLamports
+   * @param {BatchOperation[]} operations
    * @returns {void}
+   * @private
    */
-  setPriorityFee(priorityFeeMicroLamports) {
-    this.priorityFeeMicroLamports = priorityFeeMicroLamports;
+  _validateBatch(operations) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new ValidationError("Batch needs at least one operation", { field: "operations" });
+    }
+    operations.forEach((operation, index) => {
+      if (
+        operation === null ||
+        typeof operation !== "object" ||
+        !BATCH_OPS.includes(operation.op)
+      ) {
+        throw new ValidationError(`Operation ${index} must be a stake or unstake`, {
+          field: "operations",
+        });
+      }
+      try {
+        this._validatePoolId(operation.poolId);
+        this._validateAmount(
+          operation.op === "stake" ? operation.amount : operation.receiptAmount
+        );
+      } catch (err) {
+        throw new ValidationError(`Operation ${index}: ${err.message}`, {
+          field: "operations",
+          cause: err,
+        });
+      }
+    });
   }
 
   /**
-   * @returns {import('@solana/web3.js').TransactionInstruction}
+   * Builds the instructions for validated batch operations.
+   * @param {BatchOperation[]} operations
+   * @param {import('@solana/web3.js').PublicKey} payer
+   * @returns {Promise<PreparedInstruction[]>} In operation order
    * @private
    */
-  _addPriorityFee() {
-    return ComputeBudgetProgram.setComputeUnitPrice({
-      microLamports: this.priorityFeeMicroLamports,
+  async _prepareBatch(operations, payer) {
+    const pools = new Map();
+    for (const { poolId } of operations) {
+      if (pools.has(poolId)) continue;
+      const pool = await this.getPool(poolId);
+      if (!pool) throw new PoolNotFoundError(poolId);
+      pools.set(poolId, pool);
+    }
+
+    const totals = new Map();
+    for (const operation of operations) {
+      const pool = pools.get(operation.poolId);
+      const [mint, amount] =
+        operation.op === "stake"
+          ? [pool.stakeToken, operation.amount]
+          : [pool.receiptToken, operation.receiptAmount];
+      const entry = totals.get(mint.toBase58()) ?? { mint, total: 0n };
+      entry.total += BigInt(amount);
+      totals.set(mint.toBase58(), entry);
+    }
+    for (const { mint, total } of totals.values()) {
+      await this._validateTokenBalance(this.userPublicKey, mint, this._toAmount(total));
+    }
+
+    // Every unstake from a pool takes its nonce and increments it
+    const nonces = new Map();
+    const prepared = [];
+    for (const operation of operations) {
+      const pool = pools.get(operation.poolId);
+      if (operation.op === "stake") {
+        prepared.push(
+          await this._prepareStake(operation.poolId, operation.amount, {
+            payer,
+            pool,
+            validateBalance: false,
+          })
+        );
+        continue;
+      }
+      const nonce = nonces.get(operation.poolId) ?? pool.nonce;
+      nonces.set(operation.poolId, nonce + 1);
+      prepared.push(
+        await this._prepareUnstake(operation.poolId, operation.receiptAmount, {
+          payer,
+          pool: { ...pool, nonce },
+          validateBalance: false,
+        })
+      );
+    }
+    return prepared;
+  }
+
+  /**
+   * Dry-runs a stake: simulates the same instructions `stake` sends and
+   * reports logs, compute units and the decoded program error.
+   * @param {number} poolId
+   * @param {Amount} amount
+   * @param {{ feePayer?: FeePayer, lookupTables?: TransactionFormat['lookupTables'] }} [options]
+   * @returns {Promise<SimulationResult>}
+   */
+  async simulateStake(poolId, amount, options = {}) {
+    const { lookupTables } = await this._resolveTransactionFormat({
+      version: 0,
+      lookupTables: options.lookupTables,
     });
+    const instructions = await this.buildStakeInstructions(poolId, amount, options);
+    return this._simulateInstructions(
+      instructions,
+      this._resolveFeePayer(options.feePayer).publicKey,
+      lookupTables
+    );
   }
 
   /**
-   * @param {string} seed
-   * @returns {import('@solana/web3.js').PublicKey}
-   * @private
+   * Dry-runs an unstake: simulates the same instructions `unstake` sends and
+   * reports logs, compute units and the decoded program error.
+   * @param {number} poolId
+   * @param {Amount} receiptAmount
+   * @param {{ feePayer?: FeePayer, lookupTables?: TransactionFormat['lookupTables'] }} [options]
+   * @returns {Promise<SimulationResult>}
    */
-  _getPda(seed) {
-    const encoder = new TextEncoder();
-    const [pdaPublicKey] = PublicKey.findProgramAddressSync(
-      [encoder.encode(seed)],
-      this.programPublicKey
+  async simulateUnstake(poolId, receiptAmount, options = {}) {
+    const { lookupTables } = await this._resolveTransactionFormat({
+      version: 0,
+      lookupTables: options.lookupTables,
+    });
+    const instructions = await this.buildUnstakeInstructions(poolId, receiptAmount, options);
+    return this._simulateInstructions(
+      instructions,
+      this._resolveFeePayer(options.feePayer).publicKey,
+      lookupTables
     );
-    return pdaPublicKey;
   }
 
   /**
-   * @returns {void}
+   * @param {import('@solana/web3.js').PublicKey} address
+   * @param {Object} record Decoded `ClaimRecord` account
+   * @returns {OnchainClaim}
    * @private
    */
-  _validateWallet() {
-    if (!this.userPublicKey) throw new Error("No wallet set");
+  _normalizeClaimRecord(address, record) {
+    const poolId = Number(record.poolId);
+    const receiptAmount = this._toAmount(record.receiptAmount);
+    const unstakeRate = this._toAmount(record.unstakeRate);
+    return {
+      address: address.toBase58(),
+      user: record.claimer.toBase58(),
+      poolId: String(poolId),
+      poolAddress: this._getPoolPublicKey(poolId).toBase58(),
+      receiptAmount,
+      nonce: Number(record.nonce),
+      unstakeRate,
+      claimAmount: this._toAmount(this._applyRate(receiptAmount, unstakeRate)),
+      fulfilled: record.fulfilled,
+    };
   }
 
   /**
+   * Reads a single `ClaimRecord` from chain, without the Synatra API.
    * @param {number} poolId
-   * @returns {void}
-   * @private
+   * @param {number} nonce
+   * @returns {Promise<OnchainClaim|null>} null if no claim exists for the nonce
    */
-  _validatePoolId(poolId) {
-    if (typeof poolId !== "number" || poolId < 0) throw new Error("Invalid pool ID");
+  async getClaimRecord(poolId, nonce) {
+    this._validatePoolId(poolId);
+    if (!Number.isSafeInteger(nonce) || nonce < 0) {
+      throw new ValidationError("Invalid nonce", { field: "nonce" });
+    }
+    const address = this._getClaimRecordPublicKey(poolId, nonce);
+    const record = await this.program.account.claimRecord.fetchNullable(address);
+    return record ? this._normalizeClaimRecord(address, record) : null;
   }
 
   /**
-   * @param {number} amount
-   * @returns {void}
+   * Lists a user's `ClaimRecord` accounts straight from the RPC node, for
+   * when the Synatra API is unavailable.
+   * @param {import('@solana/web3.js').PublicKey|string} [user] Defaults to the connected wallet
+   * @returns {Promise<OnchainClaim[]>} Sorted by pool ID, then nonce
+   */
+  async getOnchainClaims(user) {
+    const claimer = this._resolveOwner(user);
+    // Anchor adds the ClaimRecord discriminator filter; the claimer follows
+    // the discriminator (8 bytes) and pool_id (8 bytes)
+    const accounts = await this.program.account.claimRecord.all([
+      { memcmp: { offset: 16, bytes: claimer.toBase58() } },
+    ]);
+    return accounts
+      .map(({ publicKey, account }) => this._normalizeClaimRecord(publicKey, account))
+      .sort((a, b) => Number(a.poolId) - Number(b.poolId) || a.nonce - b.nonce);
+  }
+
+  /**
+   * Compares a user's claims in the Synatra API with their `ClaimRecord`
+   * accounts.
+   * @param {import('@solana/web3.js').PublicKey|string} [user] Defaults to the connected wallet
+   * @param {{ signal?: AbortSignal }} [options]
+   * @returns {Promise<ClaimReconciliation>}
+   */
+  async reconcileClaims(user, options = {}) {
+    const claimer = this._resolveOwner(user);
+    const [{ claims, invalid }, records] = await Promise.all([
+      this._fetchClaims(claimer, { signal: options.signal }),
+      this.getOnchainClaims(claimer),
+    ]);
+
+    /** @type {Map<string, ReconciledClaim>} */
+    const joined = new Map();
+    const entry = (poolId, nonce) => {
+      const address = this._getClaimRecordPublicKey(Number(poolId), nonce).toBase58();
+      if (!joined.has(address)) {
+        joined.set(address, { address, poolId, nonce, api: null, onchain: null, issues: [] });
+      }
+      return joined.get(address);
+    };
+    for (const claim of claims) entry(claim.poolId, claim.nonce).api = claim;
+    for (const record of records) entry(record.poolId, record.nonce).onchain = record;
+
+    for (const item of joined.values()) {
+      const { api, onchain, issues } = item;
+      const label = `claim ${item.poolId}/${item.nonce}`;
+      if (!onchain) {
+        issues.push({ type: "missing_onchain", message: `No ClaimRecord for ${label}` });
+      } else if (!api) {
+        issues.push({ type: "missing_api", message: `The API does not list ${label}` });
+      }
+      if (api && api.address !== item.address) {
+        issues.push({
+          type: "address_mismatch",
+          message: `API address of ${label} is not its ClaimRecord PDA`,
+          api: api.address,
+          onchain: item.address,
+        });
+      }
+      if (!api || !onchain) continue;
+      for (const [field, type] of [
+        ["receiptAmount", "receipt_amount_mismatch"],
+        ["unstakeRate", "unstake_rate_mismatch"],
+      ]) {
+        if (api[field] !== onchain[field]) {
+          issues.push({
+            type,
+            message: `${field} of ${label} differs: API ${api[field]}, on chain ${onchain[field]}`,
+            api: api[field],
+            onchain: onchain[field],
+          });
+        }
+      }
+      if (api.fulfilled && !onchain.fulfilled) {
+        issues.push({
+          type: "fulfilled_mismatch",
+          message: `The API marks ${label} fulfilled, its ClaimRecord is not`,
+          api: true,
+          onchain: false,
+        });
+      }
+    }
+
+    const reconciled = [...joined.values()].sort(
+      (a, b) => Number(a.poolId) - Number(b.poolId) || a.nonce - b.nonce
+    );
+    const mismatches = reconciled.filter((item) => item.issues.length > 0);
+    return {
+      user: claimer.toBase58(),
+      claims: reconciled,
+      mismatches,
+      invalid,
+      ok: mismatches.length === 0 && invalid.length === 0,
+    };
+  }
+
+  /**
+   * @param {import('@solana/web3.js').PublicKey|string} [owner]
+   * @returns {import('@solana/web3.js').PublicKey} `owner`, or the connected wallet
    * @private
    */
-  _validateAmount(amount) {
-    if (typeof amount !== "number" || amount <= 0) throw new Error("Amount must be positive");
+  _resolveOwner(owner) {
+    if (owner === undefined || owner === null) {
+      this._validateWallet();
+      return this.userPublicKey;
+    }
+    try {
+      return new PublicKey(owner);
+    } catch (err) {
+      throw new ValidationError("Invalid owner address", { field: "owner", cause: err });
+    }
   }
 
+  /**
+   * Starts tracking a claim, such as the `claimRecord` returned by `unstake`.
+   * @param {import('@solana/web3.js').PublicKey|string} claimAddress ClaimRecord PDA
+   * @param {ClaimTrackerOptions} [options]
+   * @returns {ClaimTracker} Already polling; call `stop` when no longer needed
+   */
+  trackClaim(claimAddress, options = {}) {
+    let address;
+    try {
+      address = new PublicKey(claimAddress);
+    } catch (err) {
+      throw new ValidationError("Invalid claim address", { field: "claimAddress", cause: err });
+    }
+    const { until = "fulfilled", timeout, pollIntervalMs, user } = options;
+    if (until !== "fulfilled" && until !== "claimed") {
+      throw new ValidationError(`Invalid until: ${until}`, { field: "until" });
+    }
+    if (until === "claimed" && !this.synatraApiUrl) {
+      throw new ValidationError("Tracking until claimed needs an API URL", { field: "until" });
+    }
+    if (timeout !== undefined && !(Number.isFinite(timeout) && timeout >= 0)) {
+      throw new ValidationError("Invalid timeout", { field: "timeout" });
+    }
+    if (pollIntervalMs !== undefined && !(Number.isFinite(pollIntervalMs) && pollIntervalMs >= 0)) {
+      throw new ValidationError("Invalid pollIntervalMs", { field: "pollIntervalMs" });
+    }
+    if (user !== undefined) this._resolveOwner(user);
+    return new ClaimTracker(this, address, options);
+  }
 
   /**
-   * @param {import('@solana/web3.js').PublicKey} tokenMint
-   * @param {number} requiredAmount
-   * @returns {Promise<void>}
+   * Waits for a claim to be fulfilled, or claimed with `until: 'claimed'`
+   * when an API URL is set.
+   * @param {import('@solana/web3.js').PublicKey|string} claimAddress ClaimRecord PDA
+   * @param {ClaimTrackerOptions} [options]
+   * @returns {Promise<ClaimUpdate>} Rejects with `ClaimTimeoutError` after `timeout`
+   */
+  waitForClaim(claimAddress, options = {}) {
+    return this.trackClaim(claimAddress, options).done;
+  }
+
+  /**
+   * Lists a user's claims from the Synatra API. Malformed records are left
+   * out and passed to `onInvalid`.
+   * @param {ClaimQuery} [options]
+   * @returns {Promise<Claim[]>}
+   */
+  async getClaims(options = {}) {
+    const { claims, invalid } = await this.getClaimsPage(options);
+    this._reportInvalidClaims(invalid, options.onInvalid);
+    return claims;
+  }
+
+  /**
+   * Reads one page of a user's claims. The API returns every claim of a
+   * user, so filtering and paging happen in the client.
+   * @param {ClaimQuery} [options]
+   * @returns {Promise<ClaimPage>}
+   */
+  async getClaimsPage(options = {}) {
+    const query = this._parseClaimQuery(options);
+    const { claims, invalid } = await this._fetchClaims(query.user, { signal: options.signal });
+
+    const matching = this._matchClaims(claims, query);
+    const page = query.limit === undefined ? matching : matching.slice(0, query.limit);
+    const last = page.at(-1);
+    const nextCursor =
+      page.length < matching.length
+        ? Buffer.from(
+            JSON.stringify({ date: last.unstakeDate?.getTime() ?? null, address: last.address })
+          ).toString("base64url")
+        : null;
+    return { claims: page, nextCursor, invalid };
+  }
+
+  /**
+   * Walks every claim matching the query, starting after `cursor` if set.
+   * The claims are fetched once, so the walk sees a single snapshot.
+   * Malformed records are passed to `onInvalid` before the first claim.
+   * @param {ClaimQuery} [options]
+   * @returns {AsyncGenerator<Claim, void, undefined>}
+   */
+  async *iterateClaims(options = {}) {
+    const query = this._parseClaimQuery(options);
+    const { claims, invalid } = await this._fetchClaims(query.user, { signal: options.signal });
+    this._reportInvalidClaims(invalid, options.onInvalid);
+    yield* this._matchClaims(claims, query);
+  }
+
+  /**
+   * @param {Claim[]} claims
+   * @param {ReturnType<SynatraClient['_parseClaimQuery']>} query
+   * @returns {Claim[]} Claims matching the query's filters after its cursor, in page order
    * @private
    */
-  async _validateTokenBalance(tokenMint, requiredAmount) {
-    if (tokenMint.toString() === SOLANA_TOKEN_ADDRESS) {
-      const balance = await this.connection.getBalance(this.userPublicKey);
-      if (balance < requiredAmount) throw new Error("Insufficient SOL balance");
-    } else {
-      const userTokenAta = this._getAta(this.userPublicKey, tokenMint);
+  _matchClaims(claims, query) {
+    return claims
+      .filter(
+        (claim) =>
+          (query.poolId === undefined || claim.poolId === String(query.poolId)) &&
+          (query.status === undefined || claimStatus(claim) === query.status) &&
+          (query.since === undefined ||
+            (claim.unstakeDate !== null && claim.unstakeDate >= query.since)) &&
+          (query.until === undefined ||
+            (claim.unstakeDate !== null && claim.unstakeDate < query.until))
+      )
+      .sort(compareClaims)
+      .filter((claim) => query.cursor === undefined || compareClaims(claim, query.cursor) > 0);
+  }
+
+  /**
+   * @param {ClaimQuery} options
+   * @returns {{ user: import('@solana/web3.js').PublicKey, poolId?: number, status?: ClaimStatus, since?: Date, until?: Date, limit?: number, cursor?: { unstakeDate: Date|null, address: string } }}
+   * @private
+   */
+  _parseClaimQuery(options) {
+    if (options === null || typeof options !== "object") {
+      throw new ValidationError("Claim query must be an object", { field: "options" });
+    }
+    const { poolId, status, limit, cursor } = options;
+    const query = { user: this._resolveOwner(options.user) };
+    if (poolId !== undefined) {
+      this._validatePoolId(poolId);
+      query.poolId = poolId;
+    }
+    if (status !== undefined) {
+      if (!CLAIM_STATUSES.includes(status)) {
+        throw new ValidationError(`Invalid status: ${status}`, { field: "status" });
+      }
+      query.status = status;
+    }
+    for (const field of ["since", "until"]) {
+      if (options[field] === undefined) continue;
+      const date = toDate(options[field]);
+      if (!date) throw new ValidationError(`Invalid ${field} date`, { field });
+      query[field] = date;
+    }
+    if (limit !== undefined) {
+      if (!Number.isSafeInteger(limit) || limit <= 0) {
+        throw new ValidationError("limit must be a positive integer", { field: "limit" });
+      }
+      query.limit = limit;
+    }
+    if (cursor !== undefined) {
       try {
-        const balance = await this.connection.getTokenAccountBalance(userTokenAta);
-        if (Number(balance.value.amount) < requiredAmount) {
-          throw new Error("Insufficient token balance");
+        const { date, address } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+        if (typeof address !== "string" || (date !== null && !Number.isFinite(date))) {
+          throw new TypeError("Unexpected cursor fields");
         }
+        query.cursor = { unstakeDate: date === null ? null : new Date(date), address };
       } catch (err) {
-        throw new Error("Token account not found or insufficient balance");
+        throw new ValidationError("Invalid cursor", { field: "cursor", cause: err });
       }
     }
+    return query;
   }
 
   /**
-   * @param {import('@solana/web3.js').PublicKey} userPublicKey
-   * @param {import('@solana/web3.js').PublicKey} tokenPublicKey
-   * @returns {import('@solana/web3.js').PublicKey}
+   * @param {InvalidClaim[]} invalid
+   * @param {((invalid: InvalidClaim[]) => void)|undefined} onInvalid
+   * @returns {void}
    * @private
    */
-  _getAta(userPublicKey, tokenPublicKey) {
-    const [ataPublicKey] = PublicKey.findProgramAddressSync(
-      [
-        userPublicKey.toBuffer(),
-        TOKEN_PROGRAM_ID.toBuffer(),
-        tokenPublicKey.toBuffer(),
-      ],
-      ASSOCIATED_TOKEN_PROGRAM_ID
-    );
-    return ataPublicKey;
+  _reportInvalidClaims(invalid, onInvalid) {
+    if (invalid.length === 0) return;
+    if (this.enableLogging) {
+      this.logger.error(`skipped ${invalid.length} malformed claims:`, invalid);
+    }
+    onInvalid?.(invalid);
   }
 
   /**
+   * Reads an owner's receipt balance in a pool, its value in the stake
+   * token, and their claims.
    * @param {number} poolId
-   * @returns {import('@solana/web3.js').PublicKey}
-   * @private
+   * @param {import('@solana/web3.js').PublicKey|string} [owner] Defaults to the connected wallet
+   * @returns {Promise<Position>}
    */
-  _getPoolPublicKey(poolId) {
-    return this._getPda(`pool-${poolId}`);
+  async getPosition(poolId, owner) {
+    const ownerPublicKey = this._resolveOwner(owner);
+    const pool = await this.getPool(poolId);
+    if (!pool) throw new PoolNotFoundError(poolId);
+    const [balances, { claims, source }] = await Promise.all([
+      this._getReceiptBalances(ownerPublicKey, [pool]),
+      this._getOwnerClaims(ownerPublicKey),
+    ]);
+    return this._toPosition(ownerPublicKey, pool, balances.get(pool.id), claims, source);
   }
 
   /**
-   * @param {number} poolId
-   * @returns {Promise<Pool|null>}
+   * Reads an owner's positions in every pool and totals them per asset.
+   * @param {import('@solana/web3.js').PublicKey|string} [owner] Defaults to the connected wallet
+   * @returns {Promise<Portfolio>}
    */
-  async getPool(poolId) {
-    this._validatePoolId(poolId);
-    const poolPublicKey = this._getPoolPublicKey(poolId);
-    let pool = null;
-    try {
-      pool = await this.program.account.pool.fetch(poolPublicKey);
-      pool.id = Number(pool.id);
-      pool.stakeRate = Number(pool.stakeRate);
-      pool.unstakeRate = Number(pool.unstakeRate);
-      pool.receiptMaxSupply = Number(pool.receiptMaxSupply);
-      pool.nonce = Number(pool.nonce);
-    } catch (err) {
-      if (this.enableLogging) {
-        console.error(`pool not found:`, err);
-      }
+  async getPortfolio(owner) {
+    const ownerPublicKey = this._resolveOwner(owner);
+    const [pools, { claims, source }] = await Promise.all([
+      this.listPools(),
+      this._getOwnerClaims(ownerPublicKey),
+    ]);
+    const balances = await this._getReceiptBalances(ownerPublicKey, pools);
+
+    const positions = pools
+      .map((pool) =>
+        this._toPosition(ownerPublicKey, pool, balances.get(pool.id), claims, source)
+      )
+      .filter(
+        (position) =>
+          position.receiptBalance > 0 ||
+          Object.values(position.claims).some((group) => group.length > 0)
+      );
+    const totals = {};
+    for (const position of positions) {
+      const asset = position.stakeToken.toBase58();
+      totals[asset] = this._toAmount(
+        BigInt(totals[asset] ?? 0) + BigInt(position.totalValue)
+      );
     }
-    return pool;
+    return { owner: ownerPublicKey.toBase58(), positions, totals, claimsSource: source };
   }
 
   /**
-   * @param {number} poolId
-   * @returns {Promise<number>}
+   * Reads the owner's receipt token account for each pool in one RPC call.
+   * @param {import('@solana/web3.js').PublicKey} owner
+   * @param {Pool[]} pools
+   * @returns {Promise<Map<number, bigint>>} By pool ID, 0 where the account does not exist
+   * @private
    */
-  async getCurrentSupply(poolId) {
-    const pool = await this.getPool(poolId);
-    if (!pool) throw new Error("Pool not found");
-    const tokenMint = await getMint(this.connection, pool.receiptToken);
-    return parseInt(tokenMint.supply.toString());
+  async _getReceiptBalances(owner, pools) {
+    const atas = await Promise.all(
+      pools.map(async ({ receiptToken }) => {
+        const { programId } = await this._getMintInfo(receiptToken);
+        return this._getAta(owner, receiptToken, programId);
+      })
+    );
+    const infos = atas.length ? await this.connection.getMultipleAccountsInfo(atas) : [];
+    const balances = new Map();
+    pools.forEach((pool, i) => {
+      const info = infos[i];
+      balances.set(pool.id, info ? unpackAccount(atas[i], info, info.owner).amount : 0n);
+    });
+    return balances;
   }
 
   /**
-   * @param {number} poolId
-   * @param {number} amount
-   * @returns {Promise<string>} Transaction signature
+   * @param {import('@solana/web3.js').PublicKey} owner
+   * @returns {Promise<{ claims: Array<Claim|OnchainClaim>, source: 'api'|'onchain' }>}
+   *   From the API when an API URL is set, otherwise or when the API fails
+   *   from `ClaimRecord` accounts
+   * @private
    */
-  async stake(poolId, amount) {
-    this._validateWallet();
-    this._validateAmount(amount);
-    
-    const pool = await this.getPool(poolId);
-    if (!pool) throw new Error("Pool not found");
-    const poolPublicKey = this._getPoolPublicKey(poolId);
-    
-    // Validate user has enough balance
-    const { stakeToken, receiptToken } = pool;
-    await this._validateTokenBalance(stakeToken, amount);
-
-    const userReceiptAta = this._getAta(this.userPublicKey, receiptToken);
+  async _getOwnerClaims(owner) {
+    if (this.synatraApiUrl) {
+      try {
+        const { claims } = await this._fetchClaims(owner);
+        return { claims, source: "api" };
+      } catch (err) {
+        if (this.enableLogging) {
+          this.logger.error(`claims API failed, reading ClaimRecords:`, err);
+        }
+      }
+    }
+    return { claims: await this.getOnchainClaims(owner), source: "onchain" };
+  }
 
-    if (stakeToken.toString() === SOLANA_TOKEN_ADDRESS) {
-      return this.program.methods
-        .stakeSol(new BN(amount))
-        .accounts({
-          signer: this.userPublicKey,
-          payer: this.userPublicKey,
-          pool: poolPublicKey,
-          receiptToken,
-          userReceiptAta,
-          associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID,
-          tokenProgram: TOKEN_PROGRAM_ID,
-          systemProgram: SystemProgram.programId,
-        })
-        .preInstructions(this._addPriorityFee())
-        .rpc();
+  /**
+   * @param {import('@solana/web3.js').PublicKey} owner
+   * @param {Pool} pool
+   * @param {bigint} receiptBalance
+   * @param {Array<Claim|OnchainClaim>} claims The owner's claims in every pool
+   * @param {'api'|'onchain'} source
+   * @returns {Position}
+   * @private
+   */
+  _toPosition(owner, pool, receiptBalance, claims, source) {
+    const grouped = { pending: [], fulfilled: [], claimed: [] };
+    for (const claim of claims) {
+      if (Number(claim.poolId) !== pool.id) continue;
+      grouped[claimStatus(claim)].push(claim);
     }
+    const sum = (group) =>
+      group.reduce((total, claim) => total + BigInt(claim.claimAmount), 0n);
 
-    const userStakeAta = this._getAta(this.userPublicKey, stakeToken);
-    const poolStakeAta = this._getAta(poolPublicKey, stakeToken);
+    const receiptValue = this._applyRate(receiptBalance, pool.unstakeRate);
+    const pendingAmount = sum(grouped.pending);
+    const claimableAmount = sum(grouped.fulfilled);
+    // Fulfilled ClaimRecords stay fulfilled after the payout, so from chain
+    // they cannot be told apart from claims still owed
+    const totalValue =
+      receiptValue + pendingAmount + (source === "api" ? claimableAmount : 0n);
+    return {
+      poolId: pool.id,
+      owner: owner.toBase58(),
+      stakeToken: pool.stakeToken,
+      receiptToken: pool.receiptToken,
+      receiptBalance: this._toAmount(receiptBalance),
+      receiptValue: this._toAmount(receiptValue),
+      pendingAmount: this._toAmount(pendingAmount),
+      claimableAmount: this._toAmount(claimableAmount),
+      claimedAmount: this._toAmount(sum(grouped.claimed)),
+      totalValue: this._toAmount(totalValue),
+      claims: grouped,
+      claimsSource: source,
+    };
+  }
 
-    return this.program.methods
-      .stakeToken(new BN(amount))
-      .accounts({
-        signer: this.userPublicKey,
-        payer: this.userPublicKey,
-        pool: poolPublicKey,
-        stakeToken,
-        receiptToken,
-        userStakeAta,
-        userReceiptAta,
-        poolStakeAta,
-        associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID,
-        tokenProgram: TOKEN_PROGRAM_ID,
-        systemProgram: SystemProgram.programId,
-      })
-      .preInstructions(this._addPriorityFee())
-      .rpc();
+  /**
+   * Fetches and validates a user's API claims.
+   * @param {import('@solana/web3.js').PublicKey} user
+   * @param {{ signal?: AbortSignal }} [options]
+   * @returns {Promise<{ claims: Claim[], invalid: InvalidClaim[] }>} In API order
+   * @private
+   */
+  async _fetchClaims(user, options = {}) {
+    const path = `/claims/users/${user.toString()}`;
+    const records = await this._apiRequest(path, options);
+    if (!Array.isArray(records)) {
+      throw new ApiError("Invalid claims response: expected an array", {
+        url: `${this.synatraApiUrl}${path}`,
+      });
+    }
+    const claims = [];
+    const invalid = [];
+    records.forEach((record, index) => {
+      const { claim, errors } = this._parseApiClaim(record);
+      if (claim) claims.push(claim);
+      else invalid.push({ index, record, errors });
+    });
+    return { claims, invalid };
   }
 
   /**
-   * @param {number} poolId
-   * @param {number} receiptAmount
-   * @returns {Promise<string>} Transaction signature
+   * GETs a Synatra API endpoint and parses its JSON body. Every API call
+   * goes through here for the timeout and retry policy in `apiConfig`.
+   * @param {string} path Appended to the API URL
+   * @param {{ signal?: AbortSignal }} [options]
+   * @returns {Promise<unknown>}
+   * @private
    */
-  async unstake(poolId, receiptAmount) {
-    this._validateWallet();
-    this._validateAmount(receiptAmount);
-    
-    const pool = await this.getPool(poolId);
-    if (!pool) throw new Error("Pool not found");
-    const poolPublicKey = this._getPoolPublicKey(poolId);
-    
-    // Validate user has enough receipt tokens
-    const { receiptToken, nonce } = pool;
-    await this._validateTokenBalance(receiptToken, receiptAmount);
-    const claimRecordPublicKey = this._getPda(`claim-${poolId}-${nonce}`);
-    const userReceiptAta = this._getAta(this.userPublicKey, receiptToken);
+  async _apiRequest(path, { signal } = {}) {
+    if (!this.synatraApiUrl) {
+      throw new ConfigurationError("No Synatra API URL set", { option: "apiUrl" });
+    }
+    const url = `${this.synatraApiUrl}${path}`;
+    const { maxRetries, retryDelayMs, maxRetryDelayMs } = this.apiConfig;
 
-    return this.program.methods
-      .unstake(new BN(receiptAmount))
-      .accounts({
-        signer: this.userPublicKey,
-        payer: this.userPublicKey,
-        pool: poolPublicKey,
-        receiptToken,
-        userReceiptAta,
-        claimRecord: claimRecordPublicKey,
-        associatedTokenProgram: ASSOCIATED_TOKEN_PROGRAM_ID,
-        tokenProgram: TOKEN_PROGRAM_ID,
-        systemProgram: SystemProgram.programId,
-      })
-      .preInstructions(this._addPriorityFee())
-      .rpc();
+    for (let attempt = 0; ; attempt++) {
+      const outcome = await this._apiAttempt(url, signal);
+      if (!outcome.error) return outcome.data;
+
+      const delay = outcome.retryAfterMs ?? retryDelayMs * 2 ** attempt;
+      if (!outcome.retry || attempt >= maxRetries || delay > maxRetryDelayMs) {
+        throw outcome.error;
+      }
+      if (this.enableLogging) {
+        this.logger.error(`${outcome.error.message} from ${url}, retrying in ${delay}ms`);
+      }
+      try {
+        await sleep(delay, signal);
+      } catch (err) {
+        throw new ApiError("Request aborted", { url, cause: err });
+      }
+    }
   }
 
   /**
-   * @returns {Promise<Claim[]>}
+   * Makes one API request under the configured timeout.
+   * @param {string} url
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{ data: unknown, error?: undefined } | { error: ApiError, retry: boolean, retryAfterMs?: number }>}
+   * @private
    */
-  async getClaims() {
-    this._validateWallet();
+  async _apiAttempt(url, signal) {
+    const { timeoutMs } = this.apiConfig;
+    const fetchImpl = this.apiConfig.fetch ?? globalThis.fetch;
+    const aborted = () => ({
+      error: new ApiError("Request aborted", { url, cause: signal.reason }),
+      retry: false,
+    });
+    if (signal?.aborted) return aborted();
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", onAbort, { once: true });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    // Aborts surface as errors from fetch or from reading the body
+    const failure = (err, message, context = {}) => {
+      if (signal?.aborted) return aborted();
+      if (timedOut) {
+        return {
+          error: new ApiError(`Request timed out after ${timeoutMs}ms`, { url, cause: err }),
+          retry: false,
+        };
+      }
+      return { error: new ApiError(message, { ...context, url, cause: err }), retry: false };
+    };
+
     try {
-      const response = await fetch(
-        `${this.synatraApiUrl}/claims/users/${this.userPublicKey.toString()}`
-      );
+      let response;
+      try {
+        response = await fetchImpl(url, { signal: controller.signal });
+      } catch (err) {
+        const result = failure(err, `Network error: ${err?.message ?? err}`);
+        return { ...result, retry: !signal?.aborted && !timedOut };
+      }
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        const { status } = response;
+        const retry = status === 429 || status >= 500;
+        const retryAfter = response.headers?.get?.("retry-after");
+        return {
+          error: new ApiError(`HTTP error! status: ${status}`, { status, url }),
+          retry,
+          retryAfterMs: retry ? parseRetryAfter(retryAfter) : undefined,
+        };
       }
-      return await response.json();
-    } catch (err) {
-      if (err instanceof TypeError) {
-        throw new Error("Network error: Unable to fetch claims");
+      try {
+        return { data: await response.json() };
+      } catch (err) {
+        return failure(err, "Invalid JSON in API response", { status: response.status });
       }
-      throw err;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  /**
+   * Checks an API record against the `Claim` shape. The API sends amounts
+   * as JSON numbers or decimal strings, and dates as ISO strings.
+   * @param {unknown} record
+   * @returns {{ claim: Claim, errors?: undefined } | { claim?: undefined, errors: string[] }}
+   * @private
+   */
+  _parseApiClaim(record) {
+    if (record === null || typeof record !== "object" || Array.isArray(record)) {
+      return { errors: ["record is not an object"] };
     }
+    const errors = [];
+    const read = (field, parse, expected, required = true) => {
+      const value = record[field];
+      if (value === undefined || value === null) {
+        if (required) errors.push(`${field} is missing`);
+        return null;
+      }
+      const parsed = parse(value);
+      if (parsed === undefined) errors.push(`${field} must be ${expected}`);
+      return parsed ?? null;
+    };
+    const address = (value) => {
+      try {
+        return typeof value === "string" ? new PublicKey(value).toBase58() : undefined;
+      } catch (err) {
+        return undefined;
+      }
+    };
+    const integer = (value) =>
+      (Number.isInteger(value) && value >= 0) || (typeof value === "string" && /^\d+$/.test(value))
+        ? BigInt(value)
+        : undefined;
+    const amount = (value) => {
+      const parsed = integer(value);
+      return parsed === undefined ? undefined : this._toAmount(parsed);
+    };
+    const text = (value) => (typeof value === "string" ? value : undefined);
+    const boolean = (value) => (typeof value === "boolean" ? value : undefined);
+    const date = (value) => toDate(value) ?? undefined;
+
+    const claim = {
+      address: read("address", address, "a base58 address"),
+      user: read("user", address, "a base58 address"),
+      poolId: read("poolId", (v) => integer(v)?.toString(), "a pool ID"),
+      poolAddress: read("poolAddress", address, "a base58 address", false),
+      receiptAmount: read("receiptAmount", amount, "a u64 amount"),
+      nonce: read("nonce", (v) => (integer(v) === undefined ? undefined : Number(v)), "a nonce"),
+      unstakeRate: read("unstakeRate", amount, "a u64 rate"),
+      unstakeTransaction: read("unstakeTransaction", text, "a string", false),
+      unstakeDate: read("unstakeDate", date, "a date", false),
+      claimAmount: read("claimAmount", amount, "a u64 amount"),
+      fulfilled: read("fulfilled", boolean, "a boolean"),
+      fulfilledTransaction: read("fulfilledTransaction", text, "a string", false),
+      fulfilledDate: read("fulfilledDate", date, "a date", false),
+      claimed: read("claimed", boolean, "a boolean"),
+      claimedTransaction: read("claimedTransaction", text, "a string", false),
+      claimedDate: read("claimedDate", date, "a date", false),
+    };
+    return errors.length > 0 ? { errors } : { claim };
   }
+
 }
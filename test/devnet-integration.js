@@ -6,7 +6,7 @@
  */
 
 import { SynatraClient } from '../SynatraClient.js'
-import { Keypair, PublicKey, Connection } from '@solana/web3.js'
+import { Keypair, Connection } from '@solana/web3.js'
 import { getMint, getAccount, getAssociatedTokenAddressSync } from '@solana/spl-token'
 import fs from 'fs'
 
@@ -45,15 +45,8 @@ async function test(name, fn) {
 }
 
 async function main() {
-  // Override the hardcoded program address by patching the IDL
-  // The client reads from the IDL, so we construct with the devnet program
-  const client = new SynatraClient(DEVNET_RPC, admin)
-  // The client hardcodes synatfE5... as program address. We need to override it.
-  // Since the IDL now has the devnet address (G2HTb...), the Program will use that.
-  // But programPublicKey used for PDA derivation still points to synatfE5...
-  // Let's fix that:
-  client.programPublicKey = new PublicKey(PROGRAM_ID)
-  client.globalPublicKey = client._getPda('global')
+  const client = new SynatraClient(DEVNET_RPC, admin, undefined, 0, false, { cluster: 'devnet' })
+  assert(client.programPublicKey.toBase58() === PROGRAM_ID, 'Devnet preset should use the devnet program')
 
   const connection = new Connection(DEVNET_RPC, 'confirmed')
 
@@ -100,20 +93,33 @@ async function main() {
 
   console.log('\nSOL Staking:')
 
-  const stakeAmount = 10_000_000 // 0.01 SOL
+  // Odd amount so the rate leaves a remainder and the rounding is checked too
+  const stakeAmount = 10_000_003 // ~0.01 SOL
 
   await test('stake(0, amount) - Stake SOL', async () => {
-    const tx = await client.stake(SOL_POOL_ID, stakeAmount)
+    const receiptAta = getAssociatedTokenAddressSync(solPool.receiptToken, admin.publicKey)
+    const balanceBefore = await getAccount(connection, receiptAta).then(
+      (account) => account.amount,
+      () => 0n
+    )
+    const { receiptAmount } = await client.previewStake(SOL_POOL_ID, stakeAmount)
+
+    const { status, signature: tx, priorityFeeMicroLamports } = await client.stake(SOL_POOL_ID, stakeAmount)
+    assert(status === 'landed', `Expected stake to land, got ${status}`)
     assert(typeof tx === 'string' && tx.length > 0, 'Should return tx signature')
-    console.log(`    tx: ${tx}`)
+    console.log(`    tx: ${tx} (priority fee: ${priorityFeeMicroLamports} microlamports)`)
     // Wait for confirmation to propagate
     await connection.confirmTransaction(tx, 'confirmed')
 
-    // Verify receipt tokens received
-    const receiptAta = getAssociatedTokenAddressSync(solPool.receiptToken, admin.publicKey)
+    // Verify the program minted exactly what previewStake quoted
     const account = await getAccount(connection, receiptAta)
-    assert(account.amount > 0n, 'Should have receipt tokens')
-    console.log(`    Receipt balance: ${account.amount}`)
+    const minted = account.amount - balanceBefore
+    assert(minted > 0n, 'Should have receipt tokens')
+    assert(
+      minted === BigInt(receiptAmount),
+      `previewStake quoted ${receiptAmount} receipt tokens, the program minted ${minted}`
+    )
+    console.log(`    Receipt balance: ${account.amount} (minted ${minted})`)
   })
 
   await test('unstake(0, amount) - Unstake SOL', async () => {
@@ -126,9 +132,11 @@ async function main() {
     const receiptBalance = Number(account.amount)
     console.log(`    Receipt balance before unstake: ${receiptBalance}`)
 
-    const tx = await client.unstake(SOL_POOL_ID, receiptBalance)
+    const { status, signature: tx, claimRecord, nonce } = await client.unstake(SOL_POOL_ID, receiptBalance)
+    assert(status === 'landed', `Expected unstake to land, got ${status}`)
     assert(typeof tx === 'string' && tx.length > 0, 'Should return tx signature')
-    console.log(`    tx: ${tx}`)
+    assert(nonce === solPool.nonce, `Expected claim at nonce ${solPool.nonce}, got ${nonce}`)
+    console.log(`    tx: ${tx} (claim: ${claimRecord.toBase58()})`)
     await connection.confirmTransaction(tx, 'confirmed')
 
     // Verify receipt tokens burned
@@ -182,9 +190,7 @@ async function main() {
   })
 
   await test('operations without wallet throws', async () => {
-    const noWalletClient = new SynatraClient(DEVNET_RPC)
-    noWalletClient.programPublicKey = new PublicKey(PROGRAM_ID)
-    noWalletClient.globalPublicKey = noWalletClient._getPda('global')
+    const noWalletClient = new SynatraClient(DEVNET_RPC, null, undefined, 0, false, { cluster: 'devnet' })
     try {
       await noWalletClient.stake(0, 1000)
       assert(false, 'Should have thrown')
@@ -4,8 +4,50 @@
  * Run with: npm test
  */
 
-import { SynatraClient } from "../SynatraClient.js";
-import { Keypair } from "@solana/web3.js";
+import {
+  SynatraClient,
+  SynatraError,
+  ValidationError,
+  ConfigurationError,
+  WalletNotSetError,
+  PoolNotFoundError,
+  InsufficientBalanceError,
+  MaxSupplyExceededError,
+  ProgramError,
+  TransactionStatusUnknownError,
+  ApiError,
+  ClaimTimeoutError,
+  parseUnits,
+  formatUnits,
+} from "../SynatraClient.js";
+import {
+  Keypair,
+  PublicKey,
+  Transaction,
+  VersionedTransaction,
+  AddressLookupTableAccount,
+  SystemProgram,
+  ComputeBudgetProgram,
+  ComputeBudgetInstruction,
+} from "@solana/web3.js";
+import {
+  MintLayout,
+  AccountLayout,
+  AccountState,
+  MINT_SIZE,
+  ACCOUNT_SIZE,
+  AccountType,
+  ExtensionType,
+  TransferFeeConfigLayout,
+  TRANSFER_FEE_CONFIG_SIZE,
+  getMintLen,
+  getAssociatedTokenAddressSync,
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+} from "@solana/spl-token";
+import anchor from "@coral-xyz/anchor";
+
+const { BN } = anchor;
 
 // Test configuration
 const RPC_URL = "https://api.mainnet-beta.solana.com";
@@ -13,6 +55,149 @@ const SOL_POOL_ID = 0; // SOL staking pool (receipt: ySOL)
 const USDC_POOL_ID = 1; // USDC staking pool (receipt: yUSD)
 const TEST_SOL_AMOUNT = 1000000; // 0.001 SOL in lamports
 const TEST_USDC_AMOUNT = 1000000; // 1 USDC in token base units (6 decimals)
+const RATE_PRECISION = 1_000_000_000; // pool rates have 9 decimals
+const SOL_STAKE_TOKEN = new PublicKey(
+  "So11111111111111111111111111111111111111111"
+);
+
+// Offline fixtures: stub the pool account and token mints the client reads
+function mockPool(client, overrides = {}) {
+  const pool = {
+    id: 1,
+    manager: Keypair.generate().publicKey,
+    oracle: Keypair.generate().publicKey,
+    stakeToken: Keypair.generate().publicKey,
+    receiptToken: Keypair.generate().publicKey,
+    stakeRate: RATE_PRECISION,
+    unstakeRate: RATE_PRECISION,
+    receiptMaxSupply: 1_000_000_000,
+    nonce: 0,
+    ...overrides,
+  };
+  client.program.account.pool.fetchNullable = async () => ({ ...pool });
+  // Rent at the mainnet rate, and 10 SOL for fees unless the test sets a balance
+  client.connection.getMinimumBalanceForRentExemption = async (size) => (size + 128) * 6960;
+  if (!Object.hasOwn(client.connection, "getBalance")) {
+    client.connection.getBalance = async () => 10_000_000_000;
+  }
+  mockMints(
+    client,
+    [pool.stakeToken, pool.receiptToken]
+      .filter((address) => !address.equals(SOL_STAKE_TOKEN))
+      .map((address) => ({ address }))
+  );
+  return pool;
+}
+
+// Mints registered per client; later registrations of a mint replace earlier ones.
+// A `transferFee` ({ basisPoints, maximumFee }) makes a Token-2022 mint with
+// the transfer fee extension.
+const mintRegistry = new WeakMap();
+
+function mockMints(client, newMints) {
+  const mints = [
+    ...newMints,
+    ...(mintRegistry.get(client) ?? []).filter(
+      (m) => !newMints.some((n) => n.address.equals(m.address))
+    ),
+  ];
+  mintRegistry.set(client, mints);
+  client.connection.getAccountInfo = async (publicKey) => {
+    const mint = mints.find((m) => m.address.equals(publicKey));
+    if (!mint) return null;
+    const data = Buffer.alloc(
+      mint.transferFee ? getMintLen([ExtensionType.TransferFeeConfig]) : MINT_SIZE
+    );
+    MintLayout.encode(
+      {
+        mintAuthorityOption: 0,
+        mintAuthority: PublicKey.default,
+        supply: BigInt(mint.supply ?? 0),
+        decimals: mint.decimals ?? 6,
+        isInitialized: true,
+        freezeAuthorityOption: 0,
+        freezeAuthority: PublicKey.default,
+      },
+      data
+    );
+    if (mint.transferFee) {
+      const fee = {
+        epoch: 0n,
+        maximumFee: BigInt(mint.transferFee.maximumFee),
+        transferFeeBasisPoints: mint.transferFee.basisPoints,
+      };
+      data[ACCOUNT_SIZE] = AccountType.Mint;
+      data.writeUInt16LE(ExtensionType.TransferFeeConfig, ACCOUNT_SIZE + 1);
+      data.writeUInt16LE(TRANSFER_FEE_CONFIG_SIZE, ACCOUNT_SIZE + 3);
+      TransferFeeConfigLayout.encode(
+        {
+          transferFeeConfigAuthority: PublicKey.default,
+          withdrawWithheldAuthority: PublicKey.default,
+          withheldAmount: 0n,
+          olderTransferFee: fee,
+          newerTransferFee: fee,
+        },
+        data,
+        ACCOUNT_SIZE + 5
+      );
+    }
+    return {
+      data,
+      owner: mint.programId ?? (mint.transferFee ? TOKEN_2022_PROGRAM_ID : TOKEN_PROGRAM_ID),
+      lamports: 1461600,
+      executable: false,
+    };
+  };
+  client.connection.getMultipleAccountsInfo = async (publicKeys) =>
+    Promise.all(publicKeys.map((key) => client.connection.getAccountInfo(key)));
+}
+
+// Stubs the send pipeline. `statuses` are returned by successive
+// getSignatureStatuses calls; the last one repeats.
+function mockSend(client, { statuses = [{ slot: 1, err: null, confirmationStatus: "confirmed" }], blockHeight = 0 } = {}) {
+  const sent = [];
+  let polls = 0;
+  client.sendConfig.rebroadcastIntervalMs = 0;
+  client.connection.getLatestBlockhash = async () => ({
+    blockhash: Keypair.generate().publicKey.toBase58(),
+    lastValidBlockHeight: 100,
+  });
+  client.connection.sendRawTransaction = async (raw) => {
+    const versioned = VersionedTransaction.deserialize(raw);
+    const tx = versioned.version === "legacy" ? Transaction.from(raw) : versioned;
+    sent.push(tx);
+    return Buffer.from(versioned.signatures[0]).toString("base64");
+  };
+  client.connection.getSignatureStatuses = async () => ({
+    value: [statuses[Math.min(polls++, statuses.length - 1)]],
+  });
+  client.connection.getBlockHeight = async () =>
+    typeof blockHeight === "function" ? blockHeight() : blockHeight;
+  return sent;
+}
+
+// A claim as the Synatra API returns it: a pending unstake of pool 1.
+function apiClaim(overrides = {}) {
+  return {
+    address: Keypair.generate().publicKey.toBase58(),
+    user: Keypair.generate().publicKey.toBase58(),
+    poolId: "1",
+    poolAddress: Keypair.generate().publicKey.toBase58(),
+    receiptAmount: "1000",
+    nonce: 0,
+    unstakeRate: RATE_PRECISION,
+    unstakeTransaction: "unstake-tx",
+    unstakeDate: "2025-01-01T00:00:00.000Z",
+    claimAmount: "1000",
+    fulfilled: false,
+    fulfilledTransaction: null,
+    fulfilledDate: null,
+    claimed: false,
+    claimedTransaction: null,
+    claimedDate: null,
+    ...overrides,
+  };
+}
 
 describe("SynatraClient", () => {
   describe("Basic Functionality", () => {
@@ -60,6 +245,244 @@ describe("SynatraClient", () => {
     });
   });
 
+  describe("Options Factory", () => {
+    test("create() maps options onto the client", () => {
+      const keypair = Keypair.generate();
+      const logger = { error: () => {} };
+      const client = SynatraClient.create({
+        rpcUrl: RPC_URL,
+        wallet: keypair,
+        apiUrl: "https://api.example.com",
+        priorityFee: 2500,
+        commitment: "finalized",
+        logger,
+      });
+
+      expect(client.userPublicKey.equals(keypair.publicKey)).toBe(true);
+      expect(client.synatraApiUrl).toBe("https://api.example.com");
+      expect(client.priorityFeeMicroLamports).toBe(2500);
+      expect(client.connection.commitment).toBe("finalized");
+      expect(client.provider.opts.commitment).toBe("finalized");
+      expect(client.logger).toBe(logger);
+      expect(client.enableLogging).toBe(true);
+    });
+
+    test("create() defaults match the positional constructor", () => {
+      const client = SynatraClient.create({ rpcUrl: RPC_URL });
+      const positional = new SynatraClient(RPC_URL);
+
+      expect(client.synatraApiUrl).toBe(positional.synatraApiUrl);
+      expect(client.priorityFeeMicroLamports).toBe(0);
+      expect(client.commitment).toBe("confirmed");
+      expect(client.enableLogging).toBe(false);
+      expect(client.userPublicKey).toBeUndefined();
+    });
+
+    test("create() validates every field", () => {
+      expect(() => SynatraClient.create({ rpcUrl: "not a url" })).toThrow(
+        "Invalid option: rpcUrl"
+      );
+      expect(() => SynatraClient.create({ wallet: {} })).toThrow(
+        "Invalid option: wallet"
+      );
+      expect(() => SynatraClient.create({ priorityFee: -1 })).toThrow(
+        "Invalid option: priorityFee"
+      );
+      expect(() => SynatraClient.create({ commitment: "max" })).toThrow(
+        "Invalid option: commitment"
+      );
+      expect(() => SynatraClient.create({ logger: {} })).toThrow(
+        "Invalid option: logger"
+      );
+      expect(() => SynatraClient.create({ priorityFeeMicroLamports: 1 })).toThrow(
+        "Unknown option: priorityFeeMicroLamports"
+      );
+    });
+
+    test("the positional constructor validates computeUnitMargin", () => {
+      const construct = (options) => new SynatraClient(RPC_URL, null, undefined, 0, false, options);
+
+      expect(() => construct({ computeUnitMargin: -5 })).toThrow(ConfigurationError);
+      expect(() => construct({ computeUnitMargin: NaN })).toThrow(
+        "Invalid computeUnitMargin: NaN"
+      );
+      expect(construct({ computeUnitMargin: 0 }).computeUnitMargin).toBe(0);
+    });
+
+    test("the positional constructor validates the logger", () => {
+      const construct = (options) => new SynatraClient(RPC_URL, null, undefined, 0, true, options);
+
+      expect(() => construct({ logger: {} })).toThrow(ConfigurationError);
+      expect(() => construct({ logger: null })).not.toThrow();
+      expect(construct({}).logger).toBe(console);
+    });
+  });
+
+  describe("Wallet Signers", () => {
+    let keypair;
+    let adapter;
+    let signed;
+
+    beforeEach(() => {
+      keypair = Keypair.generate();
+      signed = 0;
+      // Shaped like a wallet-adapter or hardware wallet: no secret key exposed
+      adapter = {
+        publicKey: keypair.publicKey,
+        signTransaction: async (tx) => {
+          signed++;
+          tx.partialSign(keypair);
+          return tx;
+        },
+        signAllTransactions: async (txs) => txs,
+      };
+    });
+
+    test("accepts wallet-adapter signers in the constructor and create", () => {
+      const client = new SynatraClient(RPC_URL, adapter);
+      const created = SynatraClient.create({ wallet: adapter });
+
+      expect(client.wallet).toBe(adapter);
+      expect(client.userPublicKey.equals(keypair.publicKey)).toBe(true);
+      expect(client.provider.wallet).toBe(adapter);
+      expect(client.provider.publicKey.equals(keypair.publicKey)).toBe(true);
+      expect(created.userPublicKey.equals(keypair.publicKey)).toBe(true);
+    });
+
+    test("signs sends with the signer", async () => {
+      const client = new SynatraClient(RPC_URL, adapter);
+      client.connection.getBalance = async () => 10_000_000_000;
+      client.connection.simulateTransaction = async () => ({
+        value: { err: null, logs: [], unitsConsumed: 40_000 },
+      });
+      mockPool(client, { id: 0, stakeToken: SOL_STAKE_TOKEN });
+      const sent = mockSend(client);
+
+      const result = await client.stake(SOL_POOL_ID, TEST_SOL_AMOUNT);
+
+      expect(result.status).toBe("landed");
+      expect(signed).toBe(1);
+      expect(sent[0].verifySignatures()).toBe(true);
+    });
+
+    test("read-only clients cannot sign", async () => {
+      const client = new SynatraClient(RPC_URL, keypair);
+      client.setWallet(null);
+
+      expect(client.wallet).toBeNull();
+      expect(client.userPublicKey).toBeUndefined();
+      expect(client.provider.publicKey).toBeUndefined();
+      await expect(client.provider.wallet.signTransaction(new Transaction())).rejects.toThrow(
+        WalletNotSetError
+      );
+      await expect(client.buildStakeInstructions(SOL_POOL_ID, 1000)).rejects.toThrow(
+        WalletNotSetError
+      );
+    });
+
+    test("follows a wallet adapter as it connects", () => {
+      adapter.publicKey = null;
+      const client = new SynatraClient(RPC_URL, adapter);
+
+      expect(client.userPublicKey).toBeUndefined();
+      expect(() => client._validateWallet()).toThrow(WalletNotSetError);
+
+      expect(client.provider.publicKey).toBeUndefined();
+
+      adapter.publicKey = keypair.publicKey;
+      expect(client.userPublicKey.equals(keypair.publicKey)).toBe(true);
+      expect(client.provider.publicKey.equals(keypair.publicKey)).toBe(true);
+    });
+
+    test("switching wallets updates the provider", () => {
+      const client = new SynatraClient(RPC_URL, keypair);
+      const other = Keypair.generate();
+
+      client.setWallet(other);
+
+      expect(client.userPublicKey.equals(other.publicKey)).toBe(true);
+      expect(client.provider.publicKey.equals(other.publicKey)).toBe(true);
+      expect(client.provider.wallet).toBe(client.wallet);
+    });
+
+    test("rejects objects that cannot sign", () => {
+      const client = new SynatraClient(RPC_URL);
+
+      expect(() => client.setWallet({ publicKey: keypair.publicKey })).toThrow(ValidationError);
+      expect(() => new SynatraClient(RPC_URL, {})).toThrow(ConfigurationError);
+      expect(() => SynatraClient.create({ wallet: {} })).toThrow("Invalid option: wallet");
+    });
+  });
+
+  describe("Cluster Configuration", () => {
+    const DEVNET_PROGRAM_ID = "G2HTbxYa9XpiZviwnjtTrPCpfRxT8c6L9BvvJFo59ESx";
+
+    test("defaults to the mainnet deployment", () => {
+      const client = new SynatraClient(RPC_URL);
+
+      expect(client.cluster).toBe("mainnet");
+      expect(client.synatraApiUrl).toBe("https://api.synatra.xyz");
+      expect(client.program.programId.equals(client.programPublicKey)).toBe(true);
+    });
+
+    test("devnet preset configures PDAs, Program and API together", () => {
+      const client = new SynatraClient(undefined, null, undefined, 0, false, {
+        cluster: "devnet",
+      });
+
+      expect(client.programPublicKey.toBase58()).toBe(DEVNET_PROGRAM_ID);
+      expect(client.program.programId.toBase58()).toBe(DEVNET_PROGRAM_ID);
+      expect(client.connection.rpcEndpoint).toBe("https://api.devnet.solana.com");
+      expect(client.synatraApiUrl).toBeNull();
+
+      const mainnetClient = new SynatraClient(RPC_URL);
+      expect(client.globalPublicKey.equals(mainnetClient.globalPublicKey)).toBe(false);
+    });
+
+    test("programId alone selects the matching preset", () => {
+      const client = new SynatraClient(RPC_URL, null, undefined, 0, false, {
+        programId: DEVNET_PROGRAM_ID,
+      });
+
+      expect(client.cluster).toBe("devnet");
+    });
+
+    test("rejects mismatched settings", () => {
+      expect(
+        () =>
+          new SynatraClient(RPC_URL, null, undefined, 0, false, {
+            cluster: "mainnet",
+            programId: DEVNET_PROGRAM_ID,
+          })
+      ).toThrow("does not match the mainnet deployment");
+      expect(
+        () =>
+          new SynatraClient(RPC_URL, null, "https://api.synatra.xyz", 0, false, {
+            cluster: "devnet",
+          })
+      ).toThrow("mainnet Synatra API");
+      expect(
+        () =>
+          new SynatraClient(RPC_URL, null, undefined, 0, false, {
+            cluster: "testnet",
+          })
+      ).toThrow("Unknown cluster");
+    });
+
+    test("getClaims requires an API URL", async () => {
+      const client = new SynatraClient(
+        RPC_URL,
+        Keypair.generate(),
+        undefined,
+        0,
+        false,
+        { cluster: "localnet" }
+      );
+
+      await expect(client.getClaims()).rejects.toThrow("No Synatra API URL set");
+    });
+  });
+
   describe("Input Validation", () => {
     let client;
     let wallet;
@@ -79,6 +502,20 @@ describe("SynatraClient", () => {
       expect(() => client._validateAmount(0)).toThrow(
         "Amount must be positive"
       );
+      expect(() => client._validateAmount(1.5)).toThrow(
+        "Amount must be a whole number of base units"
+      );
+      expect(() => client._validateAmount(NaN)).toThrow(ValidationError);
+      expect(() => client._validateAmount(2 ** 53)).toThrow(
+        "Amount exceeds the safe number range"
+      );
+    });
+
+    test("Fractional amounts are rejected before any BigInt conversion", async () => {
+      const error = await client.previewStake(SOL_POOL_ID, 1.5).catch((err) => err);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.field).toBe("amount");
     });
 
     test("Wallet validation", () => {
@@ -169,6 +606,2486 @@ describe("SynatraClient", () => {
     });
   });
 
+  describe("Stake and Unstake Quotes", () => {
+    let client;
+    let pool;
+
+    beforeEach(() => {
+      client = new SynatraClient(RPC_URL);
+      pool = mockPool(client, {
+        stakeRate: 2 * RATE_PRECISION,
+        unstakeRate: RATE_PRECISION / 2,
+        receiptMaxSupply: 10_000_000,
+      });
+      mockMints(client, [{ address: pool.receiptToken, supply: 9_000_000 }]);
+    });
+
+    test("previewStake applies stakeRate and reports headroom", async () => {
+      const quote = await client.previewStake(USDC_POOL_ID, 400_000);
+
+      expect(quote.receiptAmount).toBe(800_000);
+      expect(quote.currentSupply).toBe(9_000_000);
+      expect(quote.remainingSupply).toBe(1_000_000);
+      expect(quote.exceedsMaxSupply).toBe(false);
+    });
+
+    test("previewStake flags stakes above receiptMaxSupply", async () => {
+      const quote = await client.previewStake(USDC_POOL_ID, 600_000);
+
+      expect(quote.receiptAmount).toBe(1_200_000);
+      expect(quote.exceedsMaxSupply).toBe(true);
+    });
+
+    test("previewUnstake applies unstakeRate", async () => {
+      const quote = await client.previewUnstake(USDC_POOL_ID, 1_000_001);
+
+      expect(quote.claimAmount).toBe(500_000);
+      expect(quote.unstakeRate).toBe(RATE_PRECISION / 2);
+    });
+
+    test("previews reject unknown pools", async () => {
+      client.program.account.pool.fetchNullable = async () => null;
+
+      await expect(client.previewStake(USDC_POOL_ID, 1000)).rejects.toThrow(
+        "Pool not found"
+      );
+    });
+  });
+
+  describe("Instruction Builders", () => {
+    let keypair;
+    let client;
+
+    beforeEach(() => {
+      keypair = Keypair.generate();
+      client = new SynatraClient(RPC_URL, keypair, undefined, 1000);
+      client.connection.getBalance = async () => 10_000_000_000;
+      client.connection.getTokenAccountBalance = async () => ({
+        value: { amount: "10000000000" },
+      });
+      client.connection.getLatestBlockhash = async () => ({
+        blockhash: Keypair.generate().publicKey.toBase58(),
+        lastValidBlockHeight: 1000,
+      });
+    });
+
+    test("buildStakeInstructions uses stakeSol for SOL pools", async () => {
+      const pool = mockPool(client, { id: 0, stakeToken: SOL_STAKE_TOKEN });
+
+      const instructions = await client.buildStakeInstructions(
+        SOL_POOL_ID,
+        TEST_SOL_AMOUNT
+      );
+
+      expect(instructions).toHaveLength(2);
+      expect(instructions[0].programId.equals(ComputeBudgetProgram.programId)).toBe(true);
+      expect(instructions[1].programId.equals(client.programPublicKey)).toBe(true);
+      expect(instructions[1].keys).toHaveLength(8);
+      expect(instructions[1].keys[3].pubkey.equals(pool.receiptToken)).toBe(true);
+    });
+
+    test("buildStakeInstructions uses stakeToken for token pools", async () => {
+      mockPool(client);
+
+      const instructions = await client.buildStakeInstructions(
+        USDC_POOL_ID,
+        TEST_USDC_AMOUNT
+      );
+
+      expect(instructions[1].keys).toHaveLength(11);
+    });
+
+    test("buildUnstakeInstructions targets the claim record for the pool nonce", async () => {
+      mockPool(client, { nonce: 7 });
+
+      const instructions = await client.buildUnstakeInstructions(
+        USDC_POOL_ID,
+        TEST_USDC_AMOUNT
+      );
+
+      const claimRecord = client._getPda(`claim-${USDC_POOL_ID}-7`);
+      expect(instructions[1].keys[5].pubkey.equals(claimRecord)).toBe(true);
+    });
+
+    test("buildStakeTransaction returns an unsigned transaction", async () => {
+      mockPool(client, { id: 0, stakeToken: SOL_STAKE_TOKEN });
+
+      const tx = await client.buildStakeTransaction(SOL_POOL_ID, TEST_SOL_AMOUNT);
+
+      expect(tx.feePayer.equals(keypair.publicKey)).toBe(true);
+      expect(tx.recentBlockhash).toBeDefined();
+      expect(tx.instructions).toHaveLength(2);
+      expect(tx.signatures.every((s) => s.signature === null)).toBe(true);
+    });
+
+    test("builders require a wallet", async () => {
+      const readOnlyClient = new SynatraClient(RPC_URL);
+
+      await expect(
+        readOnlyClient.buildUnstakeInstructions(USDC_POOL_ID, 1000)
+      ).rejects.toThrow("No wallet set");
+    });
+
+    test("builders take an owner address instead of a signer", async () => {
+      const readOnlyClient = new SynatraClient(RPC_URL);
+      const vault = Keypair.generate().publicKey;
+      const pool = mockPool(readOnlyClient, { nonce: 2 });
+      readOnlyClient.connection.getTokenAccountBalance = async () => {
+        throw new Error("balance should not be read");
+      };
+      readOnlyClient.connection.getLatestBlockhash = client.connection.getLatestBlockhash;
+
+      const tx = await readOnlyClient.buildUnstakeTransaction(USDC_POOL_ID, 1000, {
+        owner: vault.toBase58(),
+        validateBalance: false,
+      });
+
+      const [, unstake] = tx.instructions;
+      expect(tx.feePayer.equals(vault)).toBe(true);
+      expect(unstake.keys[0].pubkey.equals(vault)).toBe(true);
+      expect(unstake.keys[1].pubkey.equals(vault)).toBe(true);
+      expect(
+        unstake.keys[4].pubkey.equals(getAssociatedTokenAddressSync(pool.receiptToken, vault, true))
+      ).toBe(true);
+      await expect(
+        readOnlyClient.buildStakeInstructions(USDC_POOL_ID, 1000, { owner: "nope" })
+      ).rejects.toThrow("Invalid owner address");
+    });
+  });
+
+  describe("Sponsored Transactions", () => {
+    let user;
+    let sponsor;
+    let client;
+
+    beforeEach(() => {
+      user = Keypair.generate();
+      sponsor = Keypair.generate();
+      client = new SynatraClient(RPC_URL, user);
+      client.connection.getBalance = async () => 10_000_000_000;
+      client.connection.getTokenAccountBalance = async () => ({
+        value: { amount: "10000000000" },
+      });
+      client.connection.getLatestBlockhash = async () => ({
+        blockhash: Keypair.generate().publicKey.toBase58(),
+        lastValidBlockHeight: 1000,
+      });
+      client.connection.simulateTransaction = async () => ({
+        value: { err: null, logs: [], unitsConsumed: 40_000 },
+      });
+      mockPool(client, { id: 0, stakeToken: SOL_STAKE_TOKEN });
+    });
+
+    test("builds a transaction signed by the user for the sponsor to co-sign", async () => {
+      const tx = await client.buildSponsoredStakeTransaction(
+        SOL_POOL_ID,
+        TEST_SOL_AMOUNT,
+        sponsor.publicKey
+      );
+
+      expect(tx.feePayer.equals(sponsor.publicKey)).toBe(true);
+      expect(tx.instructions[1].keys[0].pubkey.equals(user.publicKey)).toBe(true);
+      expect(tx.instructions[1].keys[1].pubkey.equals(sponsor.publicKey)).toBe(true);
+      const signatures = new Map(tx.signatures.map((s) => [s.publicKey.toBase58(), s.signature]));
+      expect(signatures.get(sponsor.publicKey.toBase58())).toBeNull();
+      expect(signatures.get(user.publicKey.toBase58())).not.toBeNull();
+      expect(() => tx.serialize({ requireAllSignatures: false })).not.toThrow();
+
+      tx.partialSign(sponsor);
+      expect(tx.verifySignatures()).toBe(true);
+    });
+
+    test("unstake builders take the sponsor address as a string", async () => {
+      const tx = await client.buildSponsoredUnstakeTransaction(
+        SOL_POOL_ID,
+        1000,
+        sponsor.publicKey.toBase58()
+      );
+
+      expect(tx.feePayer.equals(sponsor.publicKey)).toBe(true);
+      expect(tx.instructions[1].keys[1].pubkey.equals(sponsor.publicKey)).toBe(true);
+    });
+
+    test("stake sends with a sponsor signer paying fees and rent", async () => {
+      const sent = mockSend(client);
+
+      const result = await client.stake(SOL_POOL_ID, TEST_SOL_AMOUNT, { feePayer: sponsor });
+
+      expect(result.status).toBe("landed");
+      expect(sent[0].feePayer.equals(sponsor.publicKey)).toBe(true);
+      expect(sent[0].instructions.at(-1).keys[1].pubkey.equals(sponsor.publicKey)).toBe(true);
+      expect(sent[0].verifySignatures()).toBe(true);
+    });
+
+    test("sending needs a sponsor that can sign", async () => {
+      await expect(
+        client.stake(SOL_POOL_ID, TEST_SOL_AMOUNT, { feePayer: sponsor.publicKey })
+      ).rejects.toThrow("Sending needs a fee payer that can sign");
+      await expect(
+        client.buildSponsoredStakeTransaction(SOL_POOL_ID, TEST_SOL_AMOUNT)
+      ).rejects.toThrow("A sponsored transaction needs a feePayer");
+      await expect(
+        client.buildStakeTransaction(SOL_POOL_ID, TEST_SOL_AMOUNT, { feePayer: "not-a-key" })
+      ).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe("Versioned Transactions", () => {
+    let keypair;
+    let client;
+    let pool;
+
+    const lookupTable = (addresses) =>
+      new AddressLookupTableAccount({
+        key: Keypair.generate().publicKey,
+        state: {
+          deactivationSlot: 2n ** 64n - 1n,
+          lastExtendedSlot: 0,
+          lastExtendedSlotStartIndex: 0,
+          addresses,
+        },
+      });
+
+    beforeEach(() => {
+      keypair = Keypair.generate();
+      client = new SynatraClient(RPC_URL, keypair);
+      client.connection.getBalance = async () => 10_000_000_000;
+      client.connection.getTokenAccountBalance = async () => ({
+        value: { amount: "10000000000" },
+      });
+      client.connection.getLatestBlockhash = async () => ({
+        blockhash: Keypair.generate().publicKey.toBase58(),
+        lastValidBlockHeight: 1000,
+      });
+      client.connection.simulateTransaction = async () => ({
+        value: { err: null, logs: [], unitsConsumed: 40_000 },
+      });
+      pool = mockPool(client);
+    });
+
+    test("builders stay legacy by default and build v0 on request", async () => {
+      const legacy = await client.buildStakeTransaction(USDC_POOL_ID, TEST_USDC_AMOUNT);
+      const v0 = await client.buildStakeTransaction(USDC_POOL_ID, TEST_USDC_AMOUNT, {
+        version: 0,
+      });
+
+      expect(legacy).toBeInstanceOf(Transaction);
+      expect(v0).toBeInstanceOf(VersionedTransaction);
+      expect(v0.version).toBe(0);
+      expect(v0.message.staticAccountKeys[0].equals(keypair.publicKey)).toBe(true);
+    });
+
+    test("lookup tables move the shared accounts out of the static keys", async () => {
+      const addresses = await client.getLookupTableAddresses(USDC_POOL_ID);
+      const table = lookupTable(addresses);
+      const plain = await client.buildStakeTransaction(USDC_POOL_ID, TEST_USDC_AMOUNT, {
+        version: 0,
+      });
+
+      const tx = await client.buildStakeTransaction(USDC_POOL_ID, TEST_USDC_AMOUNT, {
+        version: 0,
+        lookupTables: [table],
+      });
+
+      expect(addresses.some((a) => a.equals(pool.stakeToken))).toBe(true);
+      expect(addresses.some((a) => a.equals(SystemProgram.programId))).toBe(true);
+      expect(tx.message.addressTableLookups).toHaveLength(1);
+      expect(tx.message.staticAccountKeys.some((k) => k.equals(pool.stakeToken))).toBe(false);
+      expect(tx.serialize().length).toBeLessThan(plain.serialize().length);
+    });
+
+    test("fetches lookup tables given by address", async () => {
+      const table = lookupTable(await client.getLookupTableAddresses(USDC_POOL_ID));
+      const fetched = [];
+      client.connection.getAddressLookupTable = async (key) => {
+        fetched.push(key.toBase58());
+        return { context: { slot: 1 }, value: key.equals(table.key) ? table : null };
+      };
+
+      const tx = await client.buildUnstakeTransaction(USDC_POOL_ID, 1000, {
+        version: 0,
+        lookupTables: [table.key.toBase58()],
+      });
+
+      expect(fetched).toEqual([table.key.toBase58()]);
+      expect(tx.message.addressTableLookups[0].accountKey.equals(table.key)).toBe(true);
+      await expect(
+        client.buildUnstakeTransaction(USDC_POOL_ID, 1000, {
+          version: 0,
+          lookupTables: [Keypair.generate().publicKey],
+        })
+      ).rejects.toThrow("Address lookup table not found");
+    });
+
+    test("stake signs and sends v0 transactions", async () => {
+      const sent = mockSend(client);
+      const table = lookupTable(await client.getLookupTableAddresses(USDC_POOL_ID));
+
+      const result = await client.stake(USDC_POOL_ID, TEST_USDC_AMOUNT, {
+        version: 0,
+        lookupTables: [table],
+      });
+
+      expect(result.status).toBe("landed");
+      expect(sent[0]).toBeInstanceOf(VersionedTransaction);
+      expect(sent[0].message.addressTableLookups).toHaveLength(1);
+      expect(sent[0].signatures[0].some((byte) => byte !== 0)).toBe(true);
+    });
+
+    test("sponsored v0 transactions leave the fee payer signature empty", async () => {
+      const sponsor = Keypair.generate();
+
+      const tx = await client.buildSponsoredUnstakeTransaction(
+        USDC_POOL_ID,
+        1000,
+        sponsor.publicKey,
+        { version: 0 }
+      );
+
+      expect(tx.message.staticAccountKeys[0].equals(sponsor.publicKey)).toBe(true);
+      expect(tx.signatures[0].every((byte) => byte === 0)).toBe(true);
+      expect(tx.signatures[1].some((byte) => byte !== 0)).toBe(true);
+      tx.sign([sponsor]);
+      expect(tx.signatures[0].some((byte) => byte !== 0)).toBe(true);
+    });
+
+    test("rejects unknown versions and lookup tables on legacy transactions", async () => {
+      await expect(
+        client.buildStakeTransaction(USDC_POOL_ID, TEST_USDC_AMOUNT, { version: 1 })
+      ).rejects.toThrow("Invalid transaction version: 1");
+      await expect(
+        client.stake(USDC_POOL_ID, TEST_USDC_AMOUNT, { lookupTables: [] })
+      ).rejects.toThrow("Address lookup tables need a v0 transaction");
+    });
+  });
+
+  describe("Bigint Amounts", () => {
+    // 2^53 + 1 cannot be represented as a number
+    const LARGE = 9_007_199_254_740_993n;
+    let keypair;
+    let client;
+
+    beforeEach(() => {
+      keypair = Keypair.generate();
+      client = SynatraClient.create({ wallet: keypair, amountMode: "bigint" });
+      client.connection.getBalance = async () => 10_000_000_000;
+      client.connection.getTokenAccountBalance = async () => ({
+        value: { amount: "18446744073709551615" },
+      });
+    });
+
+    test("getPool and getCurrentSupply return exact bigints", async () => {
+      const pool = mockPool(client, {
+        stakeRate: new BN(LARGE.toString()),
+        receiptMaxSupply: new BN((LARGE * 2n).toString()),
+      });
+      mockMints(client, [{ address: pool.receiptToken, supply: LARGE }]);
+
+      const fetched = await client.getPool(USDC_POOL_ID);
+
+      expect(fetched.stakeRate).toBe(LARGE);
+      expect(fetched.unstakeRate).toBe(BigInt(RATE_PRECISION));
+      expect(fetched.receiptMaxSupply).toBe(LARGE * 2n);
+      expect(fetched.nonce).toBe(0);
+      expect(await client.getCurrentSupply(USDC_POOL_ID)).toBe(LARGE);
+    });
+
+    test("previews compute in bigints", async () => {
+      const pool = mockPool(client, { receiptMaxSupply: new BN((LARGE * 2n).toString()) });
+      mockMints(client, [{ address: pool.receiptToken, supply: LARGE }]);
+
+      const stakeQuote = await client.previewStake(USDC_POOL_ID, LARGE);
+      const unstakeQuote = await client.previewUnstake(USDC_POOL_ID, LARGE);
+
+      expect(stakeQuote.receiptAmount).toBe(LARGE);
+      expect(stakeQuote.remainingSupply).toBe(LARGE);
+      expect(stakeQuote.exceedsMaxSupply).toBe(false);
+      expect(unstakeQuote.claimAmount).toBe(LARGE);
+    });
+
+    test("stake encodes the exact amount", async () => {
+      mockPool(client);
+
+      const instructions = await client.buildStakeInstructions(USDC_POOL_ID, LARGE);
+      const decoded = client.program.coder.instruction.decode(instructions[1].data);
+
+      expect(decoded.name).toBe("stakeToken");
+      expect(decoded.data.amount.toString()).toBe(LARGE.toString());
+    });
+
+    test("amounts must be positive u64 bigints", async () => {
+      await expect(client.previewStake(USDC_POOL_ID, 1000)).rejects.toThrow(
+        "Amount must be a positive bigint"
+      );
+      await expect(client.previewStake(USDC_POOL_ID, 0n)).rejects.toThrow(ValidationError);
+      await expect(client.previewStake(USDC_POOL_ID, 2n ** 64n)).rejects.toThrow(
+        "Amount exceeds u64"
+      );
+    });
+
+    test("balance errors report bigints", async () => {
+      mockPool(client);
+      client.connection.getTokenAccountBalance = async () => ({
+        value: { amount: LARGE.toString() },
+      });
+
+      const error = await client.stake(USDC_POOL_ID, LARGE + 1n).catch((err) => err);
+
+      expect(error).toBeInstanceOf(InsufficientBalanceError);
+      expect(error.required).toBe(LARGE + 1n);
+      expect(error.available).toBe(LARGE);
+    });
+
+    test("API claim amounts are converted to bigints", async () => {
+      client.synatraApiUrl = "https://api.example.com";
+      const originalFetch = globalThis.fetch;
+      globalThis.fetch = async () => ({
+        ok: true,
+        json: async () => [
+          apiClaim({ receiptAmount: "9007199254740993", unstakeRate: 1_000_000_000, claimAmount: 5 }),
+        ],
+      });
+      try {
+        const [claim] = await client.getClaims();
+        expect(claim.receiptAmount).toBe(LARGE);
+        expect(claim.unstakeRate).toBe(1_000_000_000n);
+        expect(claim.claimAmount).toBe(5n);
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    test("rejects unknown amount modes", () => {
+      expect(() => SynatraClient.create({ amountMode: "string" })).toThrow(
+        "Invalid option: amountMode"
+      );
+      expect(
+        () => new SynatraClient(RPC_URL, null, undefined, 0, false, { amountMode: "string" })
+      ).toThrow(ConfigurationError);
+    });
+  });
+
+  describe("Display Units", () => {
+    let client;
+    let pool;
+
+    beforeEach(() => {
+      client = new SynatraClient(RPC_URL, Keypair.generate());
+      client.connection.getTokenAccountBalance = async () => ({
+        value: { amount: "10000000000" },
+      });
+      client.connection.simulateTransaction = async () => ({
+        value: { err: null, logs: [], unitsConsumed: 40_000 },
+      });
+      pool = mockPool(client);
+      mockMints(client, [
+        { address: pool.stakeToken, decimals: 6 },
+        { address: pool.receiptToken, decimals: 9 },
+      ]);
+    });
+
+    // stake_token takes `amount`, unstake `receipt_amount`
+    const sentAmount = (tx) => {
+      const { data } = client.program.coder.instruction.decode(
+        tx.instructions[tx.instructions.length - 1].data
+      );
+      return (data.amount ?? data.receiptAmount).toString();
+    };
+
+    test("parseUnits and formatUnits convert exactly", () => {
+      expect(parseUnits("1.5", 9)).toBe(1_500_000_000n);
+      expect(parseUnits("0.1", 6)).toBe(100_000n);
+      expect(parseUnits("18446744073.709551615", 9)).toBe(18_446_744_073_709_551_615n);
+      expect(formatUnits(1_500_000_000, 9)).toBe("1.5");
+      expect(formatUnits(18_446_744_073_709_551_615n, 9)).toBe("18446744073.709551615");
+      expect(formatUnits(5n, 6)).toBe("0.000005");
+      expect(formatUnits(0, 6)).toBe("0");
+    });
+
+    test("parseUnits rejects malformed and over-precise amounts", () => {
+      expect(() => parseUnits("1.2345678", 6)).toThrow("Amount has more than 6 decimal places");
+      expect(() => parseUnits("-1", 6)).toThrow(ValidationError);
+      expect(() => parseUnits("1e6", 6)).toThrow("Invalid decimal amount: 1e6");
+    });
+
+    test("stake converts display units with the stake mint decimals", async () => {
+      const sent = mockSend(client);
+
+      await client.stake(USDC_POOL_ID, "1.5", { units: "ui" });
+
+      expect(sentAmount(sent[0])).toBe("1500000");
+    });
+
+    test("unstake converts display units with the receipt mint decimals", async () => {
+      const sent = mockSend(client);
+
+      await client.unstake(USDC_POOL_ID, "2.25", { units: "ui" });
+
+      expect(sentAmount(sent[0])).toBe("2250000000");
+    });
+
+    test("caches mint decimals", async () => {
+      let reads = 0;
+      const getAccountInfo = client.connection.getAccountInfo;
+      client.connection.getAccountInfo = async (...args) => {
+        reads++;
+        return getAccountInfo(...args);
+      };
+
+      expect(await client.getMintDecimals(pool.stakeToken)).toBe(6);
+      expect(await client.getMintDecimals(pool.stakeToken.toBase58())).toBe(6);
+      expect(await client.getMintDecimals(SOL_STAKE_TOKEN)).toBe(9);
+      expect(reads).toBe(1);
+    });
+
+    test("formatClaim formats receipt and claim amounts with their mints", async () => {
+      const formatted = await client.formatClaim({
+        poolId: "1",
+        receiptAmount: 2_500_000_000,
+        claimAmount: 2_500_000,
+      });
+
+      expect(formatted).toEqual({ receiptAmount: "2.5", claimAmount: "2.5" });
+    });
+
+    test("rejects unknown units", async () => {
+      await expect(client.stake(USDC_POOL_ID, "1", { units: "lamports" })).rejects.toThrow(
+        "Invalid units: lamports"
+      );
+    });
+  });
+
+  describe("Token-2022", () => {
+    let keypair;
+    let client;
+    let pool;
+
+    beforeEach(() => {
+      keypair = Keypair.generate();
+      client = new SynatraClient(RPC_URL, keypair);
+      client.connection.getTokenAccountBalance = async () => ({
+        value: { amount: "10000000000" },
+      });
+      client.connection.getEpochInfo = async () => ({ epoch: 500 });
+      pool = mockPool(client);
+      mockMints(client, [
+        { address: pool.stakeToken, transferFee: { basisPoints: 100, maximumFee: 5_000 } },
+        { address: pool.receiptToken, programId: TOKEN_2022_PROGRAM_ID, supply: 1_000 },
+      ]);
+    });
+
+    test("stakeToken derives ATAs and passes the Token-2022 program", async () => {
+      const [, instruction] = await client.buildStakeInstructions(USDC_POOL_ID, 100_000);
+      const account = (index) => instruction.keys[index].pubkey;
+      const poolAddress = client._getPoolPublicKey(USDC_POOL_ID);
+      const ata = (owner, mint) =>
+        getAssociatedTokenAddressSync(mint, owner, true, TOKEN_2022_PROGRAM_ID);
+
+      expect(account(5).equals(ata(keypair.publicKey, pool.stakeToken))).toBe(true);
+      expect(account(6).equals(ata(keypair.publicKey, pool.receiptToken))).toBe(true);
+      expect(account(7).equals(ata(poolAddress, pool.stakeToken))).toBe(true);
+      expect(account(9).equals(TOKEN_2022_PROGRAM_ID)).toBe(true);
+    });
+
+    test("unstake uses the receipt mint's token program", async () => {
+      const [, instruction] = await client.buildUnstakeInstructions(USDC_POOL_ID, 1_000);
+
+      const receiptAta = getAssociatedTokenAddressSync(
+        pool.receiptToken,
+        keypair.publicKey,
+        false,
+        TOKEN_2022_PROGRAM_ID
+      );
+      expect(instruction.keys[4].pubkey.equals(receiptAta)).toBe(true);
+      expect(instruction.keys[7].pubkey.equals(TOKEN_2022_PROGRAM_ID)).toBe(true);
+    });
+
+    test("quotes deduct the transfer fee", async () => {
+      const stakeQuote = await client.previewStake(USDC_POOL_ID, 100_000);
+      const unstakeQuote = await client.previewUnstake(USDC_POOL_ID, 1_000_000);
+
+      // 1% of 100_000, and 1% of 1_000_000 capped at 5_000
+      expect(stakeQuote.transferFee).toBe(1_000);
+      expect(stakeQuote.receiptAmount).toBe(99_000);
+      expect(stakeQuote.currentSupply).toBe(1_000);
+      expect(unstakeQuote.claimAmount).toBe(1_000_000);
+      expect(unstakeQuote.transferFee).toBe(5_000);
+    });
+
+    test("rejects stakes that do not cover the transfer fee", async () => {
+      await expect(client.buildStakeInstructions(USDC_POOL_ID, 1)).rejects.toThrow(
+        "Amount does not cover the stake token transfer fee"
+      );
+    });
+
+    test("rejects pools whose mints use different token programs", async () => {
+      mockMints(client, [{ address: pool.receiptToken }]);
+
+      await expect(client.buildStakeInstructions(USDC_POOL_ID, 100_000)).rejects.toThrow(
+        "owned by different token programs"
+      );
+    });
+
+    test("legacy mints keep the Token program and skip fee lookups", async () => {
+      mockMints(client, [{ address: pool.stakeToken }, { address: pool.receiptToken }]);
+      client.connection.getEpochInfo = async () => {
+        throw new Error("unexpected epoch lookup");
+      };
+
+      const [, instruction] = await client.buildStakeInstructions(USDC_POOL_ID, 100_000);
+      const quote = await client.previewStake(USDC_POOL_ID, 100_000);
+
+      expect(instruction.keys[9].pubkey.equals(TOKEN_PROGRAM_ID)).toBe(true);
+      expect(quote.transferFee).toBe(0);
+    });
+  });
+
+  describe("Simulation", () => {
+    let client;
+    let simulated;
+
+    beforeEach(() => {
+      client = new SynatraClient(RPC_URL, Keypair.generate(), undefined, 1000);
+      client.connection.getBalance = async () => 10_000_000_000;
+      client.connection.getLatestBlockhash = async () => ({
+        blockhash: Keypair.generate().publicKey.toBase58(),
+        lastValidBlockHeight: 1000,
+      });
+      simulated = { err: null, logs: ["Program log: ok"], unitsConsumed: 50_000 };
+      client.connection.simulateTransaction = async () => ({ value: simulated });
+      mockPool(client, { id: 0, stakeToken: SOL_STAKE_TOKEN });
+    });
+
+    test("simulateStake reports logs and compute units", async () => {
+      const result = await client.simulateStake(SOL_POOL_ID, TEST_SOL_AMOUNT);
+
+      expect(result.logs).toEqual(["Program log: ok"]);
+      expect(result.unitsConsumed).toBe(50_000);
+      expect(result.computeUnitLimit).toBe(55_000);
+      expect(result.error).toBeNull();
+    });
+
+    test("simulateUnstake decodes Synatra program errors", async () => {
+      simulated.err = { InstructionError: [1, { Custom: 6003 }] };
+      client.connection.getTokenAccountBalance = async () => ({
+        value: { amount: "10000000000" },
+      });
+
+      const result = await client.simulateUnstake(SOL_POOL_ID, 1000);
+
+      expect(result.error).toEqual({
+        code: 6003,
+        name: "NotEnoughBalance",
+        message: "Pool does not contain enough balance",
+        instructionIndex: 1,
+      });
+    });
+
+    test("stake({ simulate: true }) does not send", async () => {
+      const sent = mockSend(client);
+
+      const result = await client.stake(SOL_POOL_ID, TEST_SOL_AMOUNT, {
+        simulate: true,
+      });
+
+      expect(result.unitsConsumed).toBe(50_000);
+      expect(sent).toHaveLength(0);
+    });
+
+    test("stake sets the compute unit limit from simulated usage", async () => {
+      const sent = mockSend(client);
+
+      await client.stake(SOL_POOL_ID, TEST_SOL_AMOUNT);
+
+      const { units } = ComputeBudgetInstruction.decodeSetComputeUnitLimit(
+        sent[0].instructions[0]
+      );
+      expect(units).toBe(55_000);
+    });
+
+    test("stake does not send when simulation fails", async () => {
+      simulated.err = { InstructionError: [1, { Custom: 6001 }] };
+      const sent = mockSend(client);
+
+      await expect(client.stake(SOL_POOL_ID, TEST_SOL_AMOUNT)).rejects.toThrow(
+        "Max supply is exceeded"
+      );
+      expect(sent).toHaveLength(0);
+    });
+  });
+
+  describe("Automatic Priority Fees", () => {
+    let client;
+    let requestedAccounts;
+
+    beforeEach(() => {
+      client = new SynatraClient(RPC_URL, Keypair.generate(), undefined, 500);
+      client.connection.getBalance = async () => 10_000_000_000;
+      client.connection.getLatestBlockhash = async () => ({
+        blockhash: Keypair.generate().publicKey.toBase58(),
+        lastValidBlockHeight: 1000,
+      });
+      client.connection.simulateTransaction = async () => ({
+        value: { err: null, logs: [], unitsConsumed: 40_000 },
+      });
+      client.connection.getRecentPrioritizationFees = async (config) => {
+        requestedAccounts = config.lockedWritableAccounts;
+        return [0, 100, 200, 300, 400, 500, 600, 700, 800, 900].map(
+          (prioritizationFee, slot) => ({ slot, prioritizationFee })
+        );
+      };
+      mockPool(client, { id: 0, stakeToken: SOL_STAKE_TOKEN });
+    });
+
+    test("picks the configured percentile for the pool's accounts", async () => {
+      client.setPriorityFee("auto", { percentile: 75 });
+
+      const instructions = await client.buildStakeInstructions(
+        SOL_POOL_ID,
+        TEST_SOL_AMOUNT
+      );
+
+      const { microLamports } = ComputeBudgetInstruction.decodeSetComputeUnitPrice(
+        instructions[0]
+      );
+      expect(Number(microLamports)).toBe(700);
+      expect(
+        requestedAccounts.some((key) =>
+          key.equals(client._getPoolPublicKey(SOL_POOL_ID))
+        )
+      ).toBe(true);
+      expect(
+        requestedAccounts.some((key) => key.equals(client.programPublicKey))
+      ).toBe(false);
+    });
+
+    test("estimates token stakes from the accounts stake_token writes", async () => {
+      client.setPriorityFee("auto");
+      client.connection.getTokenAccountBalance = async () => ({
+        value: { amount: "10000000000" },
+      });
+      const pool = mockPool(client);
+
+      await client.buildStakeInstructions(USDC_POOL_ID, TEST_USDC_AMOUNT);
+
+      const locked = (key) => requestedAccounts.some((account) => account.equals(key));
+      expect(locked(pool.stakeToken)).toBe(true);
+      expect(locked(pool.receiptToken)).toBe(true);
+      expect(locked(client._getPoolPublicKey(USDC_POOL_ID))).toBe(false);
+    });
+
+    test("clamps the estimate to min and max", async () => {
+      client.setPriorityFee("auto", { percentile: 100, max: 650 });
+      expect(await client._resolvePriorityFee([])).toBe(650);
+
+      client.setPriorityFee("auto", { percentile: 0, min: 50 });
+      expect(await client._resolvePriorityFee([])).toBe(50);
+    });
+
+    test("stake reports the fee it paid alongside the signature", async () => {
+      client.setPriorityFee("auto", { percentile: 50 });
+      mockSend(client);
+
+      const result = await client.stake(SOL_POOL_ID, TEST_SOL_AMOUNT);
+
+      expect(result.status).toBe("landed");
+      expect(typeof result.signature).toBe("string");
+      expect(result.priorityFeeMicroLamports).toBe(400);
+      expect(result.computeUnitLimit).toBe(44_000);
+    });
+
+    test("falls back to the fixed fee when estimation fails", async () => {
+      client.setPriorityFee("auto");
+      client.connection.getRecentPrioritizationFees = async () => {
+        throw new Error("Method not found");
+      };
+
+      expect(await client._resolvePriorityFee([])).toBe(500);
+    });
+
+    test("rejects invalid auto settings", () => {
+      expect(() => client.setPriorityFee("auto", { percentile: 101 })).toThrow(
+        "percentile"
+      );
+      expect(() => client.setPriorityFee("auto", { min: 10, max: 5 })).toThrow(
+        "max"
+      );
+      expect(() => client.setPriorityFee("auto", { min: 2.5 })).toThrow(ValidationError);
+      expect(() => client.setPriorityFee("auto", { max: -1 })).toThrow(ValidationError);
+    });
+
+    test("rejects fixed fees that are not whole microlamports", () => {
+      const before = client.priorityFeeMicroLamports;
+      for (const fee of [1.5, NaN, -3, "abc", undefined]) {
+        expect(() => client.setPriorityFee(fee)).toThrow(ValidationError);
+      }
+      expect(client.priorityFeeMicroLamports).toBe(before);
+      expect(() => new SynatraClient(RPC_URL, null, undefined, 1.5)).toThrow(ConfigurationError);
+    });
+  });
+
+  describe("Send Pipeline", () => {
+    let client;
+
+    beforeEach(() => {
+      client = new SynatraClient(RPC_URL, Keypair.generate());
+      client.connection.getBalance = async () => 10_000_000_000;
+      client.connection.simulateTransaction = async () => ({
+        value: { err: null, logs: [], unitsConsumed: 40_000 },
+      });
+      mockPool(client, { id: 0, stakeToken: SOL_STAKE_TOKEN });
+    });
+
+    test("rebroadcasts until the transaction is confirmed", async () => {
+      const sent = mockSend(client, {
+        statuses: [
+          null,
+          null,
+          { slot: 9, err: null, confirmationStatus: "processed" },
+          { slot: 9, err: null, confirmationStatus: "confirmed" },
+        ],
+      });
+
+      const result = await client.stake(SOL_POOL_ID, TEST_SOL_AMOUNT);
+
+      expect(result.status).toBe("landed");
+      expect(result.slot).toBe(9);
+      expect(result.attempts).toBe(1);
+      expect(sent).toHaveLength(3);
+      // Rebroadcasts resend the same signed transaction
+      expect(new Set(sent.map((tx) => tx.recentBlockhash)).size).toBe(1);
+    });
+
+    test("waits for the requested commitment", async () => {
+      mockSend(client, {
+        statuses: [
+          { slot: 9, err: null, confirmationStatus: "confirmed" },
+          { slot: 9, err: null, confirmationStatus: "finalized" },
+        ],
+      });
+      let polls = 0;
+      const getSignatureStatuses = client.connection.getSignatureStatuses;
+      client.connection.getSignatureStatuses = async (...args) => {
+        polls++;
+        return getSignatureStatuses(...args);
+      };
+
+      const result = await client.stake(SOL_POOL_ID, TEST_SOL_AMOUNT, {
+        commitment: "finalized",
+      });
+
+      expect(result.status).toBe("landed");
+      expect(polls).toBe(2);
+    });
+
+    test("unstake returns the claim record it created", async () => {
+      mockPool(client, { id: 0, stakeToken: SOL_STAKE_TOKEN, nonce: 7 });
+      client.connection.getTokenAccountBalance = async () => ({
+        value: { amount: "10000000000" },
+      });
+      mockSend(client);
+
+      const result = await client.unstake(SOL_POOL_ID, 10_000);
+
+      expect(result.status).toBe("landed");
+      expect(result.nonce).toBe(7);
+      expect(result.claimRecord.equals(client._getClaimRecordPublicKey(SOL_POOL_ID, 7))).toBe(true);
+    });
+
+    describe("unstake nonce races", () => {
+      let nonces;
+      let fetches;
+      let sent;
+
+      // Each pool read returns the next nonce, as if other unstakes landed in between
+      beforeEach(() => {
+        const pool = mockPool(client, { id: 0, stakeToken: SOL_STAKE_TOKEN });
+        nonces = [3, 4, 5, 6, 7];
+        fetches = 0;
+        client.program.account.pool.fetchNullable = async () => ({
+          ...pool,
+          nonce: nonces[Math.min(fetches++, nonces.length - 1)],
+        });
+        client.connection.getTokenAccountBalance = async () => ({
+          value: { amount: "10000000000" },
+        });
+        sent = mockSend(client);
+      });
+
+      const seedsError = {
+        err: { InstructionError: [2, { Custom: 2006 }] },
+        logs: [
+          "Program log: AnchorError caused by account: claim_record. Error Code: ConstraintSeeds.",
+        ],
+        unitsConsumed: 10_000,
+      };
+
+      test("rebuilds at the pool's new nonce when simulation hits ConstraintSeeds", async () => {
+        const simulations = [seedsError, seedsError];
+        client.connection.simulateTransaction = async () => ({
+          value: simulations.shift() ?? { err: null, logs: [], unitsConsumed: 40_000 },
+        });
+
+        const result = await client.unstake(SOL_POOL_ID, 10_000);
+
+        expect(result.status).toBe("landed");
+        expect(result.nonce).toBe(5);
+        expect(result.nonceAttempts).toBe(3);
+        expect(result.claimRecord.equals(client._getClaimRecordPublicKey(SOL_POOL_ID, 5))).toBe(
+          true
+        );
+        expect(sent).toHaveLength(1);
+      });
+
+      test("retries when the claim account is already in use on chain", async () => {
+        const statuses = [
+          { slot: 9, err: { InstructionError: [2, { Custom: 2006 }] }, confirmationStatus: "confirmed" },
+        ];
+        client.connection.getSignatureStatuses = async () => ({
+          value: [statuses.shift() ?? { slot: 10, err: null, confirmationStatus: "confirmed" }],
+        });
+        const simulations = [
+          {
+            err: { InstructionError: [2, { Custom: 0 }] },
+            logs: ["Allocate: account Address { address: x, base: None } already in use"],
+          },
+        ];
+        client.connection.simulateTransaction = async () => ({
+          value: simulations.shift() ?? { err: null, logs: [], unitsConsumed: 40_000 },
+        });
+
+        const result = await client.unstake(SOL_POOL_ID, 10_000);
+
+        expect(result.status).toBe("landed");
+        expect(result.nonce).toBe(5);
+        expect(result.nonceAttempts).toBe(3);
+      });
+
+      test("retries when a landed unstake failed creating an existing claim account", async () => {
+        const statuses = [
+          { slot: 9, err: { InstructionError: [2, { Custom: 0 }] }, confirmationStatus: "confirmed" },
+        ];
+        client.connection.getSignatureStatuses = async () => ({
+          value: [statuses.shift() ?? { slot: 10, err: null, confirmationStatus: "confirmed" }],
+        });
+
+        const result = await client.unstake(SOL_POOL_ID, 10_000);
+
+        expect(result.status).toBe("landed");
+        expect(result.nonce).toBe(4);
+        expect(result.nonceAttempts).toBe(2);
+        expect(sent).toHaveLength(2);
+      });
+
+      test("gives up after nonceRetries", async () => {
+        client.connection.simulateTransaction = async () => ({ value: seedsError });
+
+        const error = await client
+          .unstake(SOL_POOL_ID, 10_000, { nonceRetries: 1 })
+          .catch((err) => err);
+
+        expect(error).toBeInstanceOf(ProgramError);
+        expect(error.programErrorName).toBe("ConstraintSeeds");
+        expect(fetches).toBe(2);
+        expect(sent).toHaveLength(0);
+      });
+
+      test("does not retry other failures", async () => {
+        client.connection.simulateTransaction = async () => ({
+          value: { err: { InstructionError: [2, { Custom: 6001 }] }, logs: [] },
+        });
+
+        await expect(client.unstake(SOL_POOL_ID, 10_000)).rejects.toThrow(
+          MaxSupplyExceededError
+        );
+        expect(fetches).toBe(1);
+        await expect(
+          client.unstake(SOL_POOL_ID, 10_000, { nonceRetries: -1 })
+        ).rejects.toThrow("nonceRetries must be a non-negative integer");
+      });
+    });
+
+    test("reports failed transactions with the decoded error", async () => {
+      mockSend(client, {
+        statuses: [{ slot: 9, err: { InstructionError: [2, { Custom: 6001 }] }, confirmationStatus: "confirmed" }],
+      });
+
+      const result = await client.stake(SOL_POOL_ID, TEST_SOL_AMOUNT);
+
+      expect(result.status).toBe("failed");
+      expect(result.error.name).toBe("MaxSupplyExceeded");
+    });
+
+    test("re-signs with a new blockhash only after expiry", async () => {
+      let height = 0;
+      const sent = mockSend(client, {
+        statuses: [null, null, { slot: 20, err: null, confirmationStatus: "confirmed" }],
+        // The first blockhash (valid until 100) expires on the first poll
+        blockHeight: () => (height++ === 0 ? 101 : 0),
+      });
+
+      const result = await client.stake(SOL_POOL_ID, TEST_SOL_AMOUNT);
+
+      expect(result.status).toBe("landed");
+      expect(result.attempts).toBe(2);
+      expect(new Set(sent.map((tx) => tx.recentBlockhash)).size).toBe(2);
+    });
+
+    test("never re-signs once the transaction is found", async () => {
+      const sent = mockSend(client, {
+        // Not visible in recent statuses, but found in history after expiry
+        statuses: [null, { slot: 5, err: null, confirmationStatus: "confirmed" }],
+        blockHeight: 101,
+      });
+
+      const result = await client.stake(SOL_POOL_ID, TEST_SOL_AMOUNT);
+
+      expect(result.status).toBe("landed");
+      expect(result.attempts).toBe(1);
+      expect(sent).toHaveLength(1);
+    });
+
+    test("returns expired after maxRetries", async () => {
+      const sent = mockSend(client, { statuses: [null], blockHeight: 1000 });
+
+      const result = await client.stake(SOL_POOL_ID, TEST_SOL_AMOUNT, {
+        maxRetries: 1,
+      });
+
+      expect(result.status).toBe("expired");
+      expect(result.attempts).toBe(2);
+      expect(sent).toHaveLength(2);
+    });
+
+    test("keeps polling after a failed status read", async () => {
+      const sent = mockSend(client);
+      const getSignatureStatuses = client.connection.getSignatureStatuses;
+      let polls = 0;
+      client.connection.getSignatureStatuses = async (...args) => {
+        if (polls++ === 0) throw new Error("429 Too Many Requests");
+        return getSignatureStatuses(...args);
+      };
+
+      const result = await client.stake(SOL_POOL_ID, TEST_SOL_AMOUNT);
+
+      expect(result.status).toBe("landed");
+      expect(sent).toHaveLength(1);
+    });
+
+    test("gives up with the signature when statuses cannot be read", async () => {
+      const sent = mockSend(client);
+      const failure = new Error("429 Too Many Requests");
+      client.connection.getSignatureStatuses = async () => {
+        throw failure;
+      };
+
+      const error = await client.stake(SOL_POOL_ID, TEST_SOL_AMOUNT).catch((err) => err);
+
+      expect(error).toBeInstanceOf(TransactionStatusUnknownError);
+      expect(error.code).toBe("TRANSACTION_STATUS_UNKNOWN");
+      expect(error.signature).toBe(anchor.utils.bytes.bs58.encode(sent[0].signature));
+      expect(error.lastValidBlockHeight).toBe(100);
+      expect(error.cause).toBe(failure);
+      expect(sent).toHaveLength(1);
+    });
+
+    test("rejects invalid send options", async () => {
+      await expect(
+        client.stake(SOL_POOL_ID, TEST_SOL_AMOUNT, { maxRetries: -1 })
+      ).rejects.toThrow("Invalid send options");
+    });
+  });
+
+  describe("Preflight", () => {
+    let client;
+
+    // Rent-exempt minimums under the mocked rent: token account and claim record
+    const ATA_RENT = (165 + 128) * 6960;
+    const CLAIM_RENT = (73 + 128) * 6960;
+
+    beforeEach(() => {
+      client = new SynatraClient(RPC_URL, Keypair.generate());
+    });
+
+    test("reports SOL stakes against the wallet's lamports with fees and rent", async () => {
+      const pool = mockPool(client, { id: 0, stakeToken: SOL_STAKE_TOKEN });
+      client.setPriorityFee(50_000);
+      const wallet = client.userPublicKey.toBase58();
+
+      const report = await client.preflight("stake", SOL_POOL_ID, 1_000_000);
+
+      expect(report).toMatchObject({
+        op: "stake",
+        poolId: 0,
+        walletSet: true,
+        feePayer: wallet,
+        fees: { transactionFee: 5000 + 10_000, rent: ATA_RENT },
+        balances: [
+          {
+            mint: SOL_STAKE_TOKEN.toBase58(),
+            account: wallet,
+            available: 10_000_000_000,
+            required: 1_000_000 + 15_000 + ATA_RENT,
+          },
+        ],
+        issues: [],
+        ok: true,
+      });
+      expect(report.accounts).toEqual({
+        stakeAta: null,
+        receiptAta: {
+          address: getAssociatedTokenAddressSync(pool.receiptToken, client.userPublicKey).toBase58(),
+          exists: false,
+        },
+      });
+      expect(report.quote).toMatchObject({ receiptAmount: 1_000_000, exceedsMaxSupply: false });
+    });
+
+    test("skips rent for an existing receipt token account", async () => {
+      const pool = mockPool(client, { id: 0, stakeToken: SOL_STAKE_TOKEN });
+      const receiptAta = getAssociatedTokenAddressSync(pool.receiptToken, client.userPublicKey);
+      const getAccountInfo = client.connection.getAccountInfo;
+      client.connection.getAccountInfo = async (address) =>
+        address.equals(receiptAta) ? { data: Buffer.alloc(165) } : getAccountInfo(address);
+
+      const report = await client.preflight("stake", SOL_POOL_ID, 1_000_000);
+
+      expect(report.accounts.receiptAta.exists).toBe(true);
+      expect(report.fees.rent).toBe(0);
+    });
+
+    test("reports a missing stake token account instead of a low balance", async () => {
+      const pool = mockPool(client);
+      client.connection.getTokenAccountBalance = async () => {
+        throw new Error("failed to get token account balance: Invalid param: could not find account");
+      };
+      const ata = getAssociatedTokenAddressSync(pool.stakeToken, client.userPublicKey).toBase58();
+
+      const report = await client.preflight("stake", USDC_POOL_ID, 1000);
+
+      expect(report.accounts.stakeAta).toEqual({ address: ata, exists: false });
+      expect(report.issues).toEqual([
+        {
+          code: "TOKEN_ACCOUNT_NOT_FOUND",
+          message: `Token account not found: ${ata} (mint ${pool.stakeToken.toBase58()}, owner ${client.userPublicKey.toBase58()})`,
+          mint: pool.stakeToken.toBase58(),
+          required: 1000,
+          available: 0,
+        },
+      ]);
+      const err = await client.stake(USDC_POOL_ID, 1000).catch((e) => e);
+      expect(err).toBeInstanceOf(InsufficientBalanceError);
+      expect(err.message).toBe(report.issues[0].message);
+    });
+
+    test("passes RPC failures through instead of reporting a missing account", async () => {
+      mockPool(client);
+      const failure = new Error("429 Too Many Requests");
+      client.connection.getTokenAccountBalance = async () => {
+        throw failure;
+      };
+
+      await expect(client.stake(USDC_POOL_ID, 1000)).rejects.toBe(failure);
+    });
+
+    test("unstakes need claim record rent from the fee payer", async () => {
+      const sponsor = Keypair.generate();
+      const pool = mockPool(client, { id: 0, stakeToken: SOL_STAKE_TOKEN });
+      client.connection.getTokenAccountBalance = async () => ({ value: { amount: "5000" } });
+      client.connection.getBalance = async (owner) => (owner.equals(sponsor.publicKey) ? 1000 : 0);
+      let simulated = false;
+      client.connection.simulateTransaction = async () => {
+        simulated = true;
+        return { value: { err: null, logs: [], unitsConsumed: 1 } };
+      };
+
+      const report = await client.preflight("unstake", SOL_POOL_ID, 5000, { feePayer: sponsor });
+
+      expect(report.fees).toEqual({ transactionFee: 10_000, rent: CLAIM_RENT });
+      expect(report.balances.map((b) => [b.mint, b.required])).toEqual([
+        [pool.receiptToken.toBase58(), 5000],
+        [SOL_STAKE_TOKEN.toBase58(), 10_000 + CLAIM_RENT],
+      ]);
+      expect(report.issues.map((i) => i.message)).toEqual([
+        `Insufficient SOL balance: ${sponsor.publicKey.toBase58()} has 1000 lamports, ` +
+          `needs ${10_000 + CLAIM_RENT} (10000 in fees, ${CLAIM_RENT} for rent)`,
+      ]);
+      await expect(
+        client.unstake(SOL_POOL_ID, 5000, { feePayer: sponsor })
+      ).rejects.toThrow(report.issues[0].message);
+      expect(simulated).toBe(false);
+    });
+
+    test("stakes above the remaining receipt supply fail before simulation", async () => {
+      const pool = mockPool(client, {
+        id: 0,
+        stakeToken: SOL_STAKE_TOKEN,
+        receiptMaxSupply: 10_000_000,
+      });
+      mockMints(client, [{ address: pool.receiptToken, supply: 9_500_000 }]);
+
+      const err = await client.stake(SOL_POOL_ID, 1_000_000).catch((e) => e);
+
+      expect(err).toBeInstanceOf(MaxSupplyExceededError);
+      expect(err.poolId).toBe(0);
+      expect(err.message).toBe(
+        "Staking 1000000 mints 1000000 receipt tokens, but pool 0 can only mint 500000 more under its max supply of 10000000"
+      );
+    });
+
+    test("stake and unstake check the wallet before any RPC call", async () => {
+      const readOnly = new SynatraClient(RPC_URL);
+      readOnly.program.account.pool.fetchNullable = async () => {
+        throw new Error("pool read");
+      };
+
+      await expect(readOnly.stake(0, 1000)).rejects.toThrow(WalletNotSetError);
+      await expect(readOnly.unstake(0, 1000)).rejects.toThrow(WalletNotSetError);
+    });
+
+    test("reports a missing wallet without reading balances", async () => {
+      const readOnly = new SynatraClient(RPC_URL);
+      mockPool(readOnly, { id: 0, stakeToken: SOL_STAKE_TOKEN });
+
+      const report = await readOnly.preflight("stake", SOL_POOL_ID, 1000);
+
+      expect(report).toMatchObject({ walletSet: false, balances: null, ok: false });
+      expect(report.issues.map((i) => i.code)).toEqual(["WALLET_NOT_SET"]);
+      await expect(readOnly.preflight("claim", SOL_POOL_ID, 1000)).rejects.toThrow(
+        "Invalid operation: claim"
+      );
+    });
+  });
+
+  describe("Batch Operations", () => {
+    let client;
+    let pools;
+    let fetches;
+    let sent;
+
+    beforeEach(() => {
+      client = new SynatraClient(RPC_URL, Keypair.generate());
+      client.connection.getBalance = async () => 10_000_000_000;
+      client.connection.getTokenAccountBalance = async () => ({
+        value: { amount: "10000000000" },
+      });
+      client.connection.simulateTransaction = async () => ({
+        value: { err: null, logs: [], unitsConsumed: 40_000 },
+      });
+      pools = [
+        mockPool(client, { id: 0, stakeToken: SOL_STAKE_TOKEN }),
+        mockPool(client, { id: 1, nonce: 4 }),
+      ];
+      fetches = 0;
+      client.program.account.pool.fetchNullable = async (address) => {
+        fetches++;
+        return { ...pools.find((p) => client._getPoolPublicKey(p.id).equals(address)) };
+      };
+      sent = mockSend(client);
+    });
+
+    test("packs operations across pools into one transaction", async () => {
+      const results = await client.batch([
+        { op: "stake", poolId: 0, amount: TEST_SOL_AMOUNT },
+        { op: "unstake", poolId: 1, receiptAmount: 1000 },
+        { op: "stake", poolId: 1, amount: TEST_USDC_AMOUNT },
+      ]);
+
+      expect(sent).toHaveLength(1);
+      expect(fetches).toBe(2);
+      expect(results.map((r) => [r.op, r.poolId, r.status, r.transactionIndex])).toEqual([
+        ["stake", 0, "landed", 0],
+        ["unstake", 1, "landed", 0],
+        ["stake", 1, "landed", 0],
+      ]);
+      expect(new Set(results.map((r) => r.signature)).size).toBe(1);
+      const names = sent[0].instructions.map((ix) =>
+        ix.programId.equals(client.programPublicKey)
+          ? client.program.coder.instruction.decode(ix.data).name
+          : null
+      );
+      expect(names).toEqual([
+        null,
+        null,
+        "stakeSol",
+        "unstake",
+        "stakeToken",
+      ]);
+      expect(results[1].nonce).toBe(4);
+      expect(results[0].claimRecord).toBeUndefined();
+    });
+
+    test("unstakes from one pool take consecutive nonces", async () => {
+      const results = await client.batch([
+        { op: "unstake", poolId: 1, receiptAmount: 1000 },
+        { op: "unstake", poolId: 1, receiptAmount: 2000 },
+      ]);
+
+      expect(results.map((r) => r.nonce)).toEqual([4, 5]);
+      expect(results[1].claimRecord.equals(client._getPda("claim-1-5"))).toBe(true);
+      expect(sent[0].instructions[3].keys[5].pubkey.equals(results[1].claimRecord)).toBe(true);
+    });
+
+    test("splits operations that do not fit into one transaction", async () => {
+      const operations = Array.from({ length: 30 }, () => ({
+        op: "unstake",
+        poolId: 1,
+        receiptAmount: 1000,
+      }));
+
+      const results = await client.batch(operations);
+
+      expect(sent.length).toBeGreaterThan(1);
+      expect(sent.every((tx) => tx.serialize().length <= 1232)).toBe(true);
+      expect(results).toHaveLength(30);
+      expect(results.at(-1).transactionIndex).toBe(sent.length - 1);
+      expect(results.at(-1).nonce).toBe(33);
+      const perTransaction = sent.map((tx) => tx.instructions.length - 2);
+      expect(perTransaction.reduce((a, b) => a + b)).toBe(30);
+    });
+
+    test("only treats oversized transactions as too large to pack", () => {
+      const format = { feePayer: client.userPublicKey, version: "legacy", lookupTables: [] };
+      let error;
+      client._compileTransaction = () => {
+        throw error;
+      };
+
+      error = new Error("Transaction too large: 1300 > 1232");
+      expect(client._transactionSize([], format)).toBe(Infinity);
+      error = new RangeError("encoding overruns Uint8Array");
+      expect(client._transactionSize([], format)).toBe(Infinity);
+      error = new Error("Invalid lookup table");
+      expect(() => client._transactionSize([], format)).toThrow("Invalid lookup table");
+    });
+
+    test("skips later unstakes from a pool once one of its transactions fails", async () => {
+      const operations = Array.from({ length: 30 }, () => ({
+        op: "unstake",
+        poolId: 1,
+        receiptAmount: 1000,
+      }));
+      let simulations = 0;
+      client.connection.simulateTransaction = async () => ({
+        value:
+          simulations++ === 0
+            ? { err: { InstructionError: [2, { Custom: 6003 }] }, logs: [], unitsConsumed: 0 }
+            : { err: null, logs: [], unitsConsumed: 40_000 },
+      });
+
+      const results = await client.batch(operations);
+
+      expect(simulations).toBe(1);
+      expect(sent).toHaveLength(0);
+      expect(results[0].status).toBe("failed");
+      const later = results.filter((r) => r.transactionIndex > 0);
+      expect(later.length).toBeGreaterThan(0);
+      expect(later.every((r) => r.status === "skipped" && r.signature === null)).toBe(true);
+    });
+
+    test("keeps sending transactions that do not depend on a failed unstake", async () => {
+      sent = mockSend(client, {
+        statuses: [
+          {
+            slot: 9,
+            err: { InstructionError: [2, { Custom: 6003 }] },
+            confirmationStatus: "confirmed",
+          },
+          { slot: 10, err: null, confirmationStatus: "confirmed" },
+        ],
+      });
+      const operations = [
+        ...Array.from({ length: 30 }, () => ({ op: "unstake", poolId: 1, receiptAmount: 1000 })),
+        ...Array.from({ length: 30 }, () => ({ op: "stake", poolId: 0, amount: 1000 })),
+      ];
+
+      const results = await client.batch(operations);
+
+      const statuses = [];
+      for (const { transactionIndex, op, status } of results) {
+        statuses[transactionIndex] ??= [false, status];
+        if (op === "unstake") statuses[transactionIndex][0] = true;
+      }
+      expect(statuses[0]).toEqual([true, "failed"]);
+      // Transactions with unstakes from pool 1 are skipped, stake-only ones are sent
+      expect(
+        statuses.slice(1).every(([unstakes, status]) => status === (unstakes ? "skipped" : "landed"))
+      ).toBe(true);
+      expect(statuses.some(([unstakes]) => !unstakes)).toBe(true);
+      expect(sent).toHaveLength(1 + statuses.filter(([unstakes]) => !unstakes).length);
+    });
+
+    test("checks each mint's balance against the batch total", async () => {
+      client.connection.getTokenAccountBalance = async () => ({
+        value: { amount: "1500" },
+      });
+
+      const error = await client
+        .batch([
+          { op: "unstake", poolId: 1, receiptAmount: 1000 },
+          { op: "unstake", poolId: 1, receiptAmount: 1000 },
+        ])
+        .catch((err) => err);
+
+      expect(error).toBeInstanceOf(InsufficientBalanceError);
+      expect(error.required).toBe(2000);
+      expect(sent).toHaveLength(0);
+    });
+
+    test("reports simulation failures without sending", async () => {
+      client.connection.simulateTransaction = async () => ({
+        value: { err: { InstructionError: [2, { Custom: 6001 }] }, logs: [], unitsConsumed: 0 },
+      });
+
+      const results = await client.batch([{ op: "stake", poolId: 0, amount: TEST_SOL_AMOUNT }]);
+
+      expect(sent).toHaveLength(0);
+      expect(results[0]).toMatchObject({ status: "failed", signature: null, attempts: 0 });
+      expect(results[0].error.code).toBe(6001);
+    });
+
+    test("validates every operation before sending", async () => {
+      await expect(client.batch([])).rejects.toThrow("Batch needs at least one operation");
+      await expect(client.batch([{ op: "swap", poolId: 0, amount: 1 }])).rejects.toThrow(
+        "Operation 0 must be a stake or unstake"
+      );
+      await expect(
+        client.batch([
+          { op: "stake", poolId: 0, amount: 1 },
+          { op: "unstake", poolId: 1, amount: 1 },
+        ])
+      ).rejects.toThrow("Operation 1: Amount must be positive");
+    });
+  });
+
+  describe("Typed Errors", () => {
+    let client;
+
+    beforeEach(() => {
+      client = new SynatraClient(RPC_URL, Keypair.generate());
+      client.connection.getLatestBlockhash = async () => ({
+        blockhash: Keypair.generate().publicKey.toBase58(),
+        lastValidBlockHeight: 100,
+      });
+    });
+
+    test("validation and wallet errors carry stable codes", () => {
+      const readOnlyClient = new SynatraClient(RPC_URL);
+
+      expect(() => readOnlyClient._validateWallet()).toThrow(WalletNotSetError);
+      expect(() => client._validatePoolId(-1)).toThrow(ValidationError);
+      try {
+        client._validateAmount(0);
+      } catch (err) {
+        expect(err).toBeInstanceOf(SynatraError);
+        expect(err.code).toBe("INVALID_ARGUMENT");
+        expect(err.field).toBe("amount");
+      }
+      expect(() => SynatraClient.create({ foo: 1 })).toThrow(ConfigurationError);
+    });
+
+    test("RPC failures reading a pool are not reported as a missing pool", async () => {
+      const outage = new Error("429 Too Many Requests");
+      client.program.account.pool.fetchNullable = async () => {
+        throw outage;
+      };
+
+      await expect(client.getPool(3)).rejects.toBe(outage);
+      await expect(client.stake(3, 1000)).rejects.toBe(outage);
+    });
+
+    test("missing pools throw PoolNotFoundError with the pool ID", async () => {
+      client.program.account.pool.fetchNullable = async () => null;
+
+      const err = await client.stake(3, 1000).catch((e) => e);
+
+      expect(err).toBeInstanceOf(PoolNotFoundError);
+      expect(err.code).toBe("POOL_NOT_FOUND");
+      expect(err.poolId).toBe(3);
+      expect(err.message).toBe("Pool not found");
+    });
+
+    test("balance errors report required and available amounts", async () => {
+      mockPool(client, { id: 0, stakeToken: SOL_STAKE_TOKEN });
+      client.connection.getBalance = async () => 500;
+
+      const err = await client.stake(SOL_POOL_ID, 1000).catch((e) => e);
+
+      // The stake, one signature and rent for the new receipt token account
+      expect(err).toBeInstanceOf(InsufficientBalanceError);
+      expect(err.required).toBe(1000 + 5000 + 2_039_280);
+      expect(err.available).toBe(500);
+      expect(err.message).toBe(
+        `Insufficient SOL balance: ${client.userPublicKey.toBase58()} has 500 lamports, ` +
+          "needs 2045280 (1000 to stake, 5000 in fees, 2039280 for rent)"
+      );
+    });
+
+    test("token balance below the amount is not reported as a missing account", async () => {
+      const pool = mockPool(client);
+      client.connection.getTokenAccountBalance = async () => ({
+        value: { amount: "10" },
+      });
+
+      const err = await client.stake(USDC_POOL_ID, 1000).catch((e) => e);
+      const ata = getAssociatedTokenAddressSync(pool.stakeToken, client.userPublicKey);
+
+      expect(err.message).toBe(`Insufficient token balance: ${ata.toBase58()} has 10, needs 1000`);
+      expect(err.available).toBe(10);
+    });
+
+    test("program errors map to typed errors", async () => {
+      mockPool(client, { id: 0, stakeToken: SOL_STAKE_TOKEN });
+      client.connection.getBalance = async () => 10_000_000_000;
+      const simulateWith = (code) => {
+        client.connection.simulateTransaction = async () => ({
+          value: { err: { InstructionError: [1, { Custom: code }] }, logs: ["log"] },
+        });
+      };
+
+      simulateWith(6001);
+      const maxSupply = await client.stake(SOL_POOL_ID, 1000).catch((e) => e);
+      expect(maxSupply).toBeInstanceOf(MaxSupplyExceededError);
+      expect(maxSupply.programErrorCode).toBe(6001);
+      expect(maxSupply.poolId).toBe(SOL_POOL_ID);
+      expect(maxSupply.logs).toEqual(["log"]);
+
+      simulateWith(6003);
+      const poolBalance = await client.stake(SOL_POOL_ID, 1000).catch((e) => e);
+      expect(poolBalance).toBeInstanceOf(InsufficientBalanceError);
+      expect(poolBalance.programErrorName).toBe("NotEnoughBalance");
+
+      simulateWith(2006);
+      const seeds = await client.stake(SOL_POOL_ID, 1000).catch((e) => e);
+      expect(seeds).toBeInstanceOf(ProgramError);
+      expect(seeds.programErrorName).toBe("ConstraintSeeds");
+    });
+
+    test("API failures throw ApiError with the HTTP status", async () => {
+      const originalFetch = globalThis.fetch;
+      globalThis.fetch = async () => ({ ok: false, status: 404 });
+      try {
+        const err = await client.getClaims().catch((e) => e);
+
+        expect(err).toBeInstanceOf(ApiError);
+        expect(err.status).toBe(404);
+        expect(err.url).toContain("/claims/users/");
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+  });
+
+  describe("API Requests", () => {
+    let calls;
+    let logged;
+
+    // Answers successive requests with `responses`; the last one repeats.
+    // Errors are thrown as network failures.
+    const stubFetch = (responses) => async (url, init) => {
+      const response = responses[Math.min(calls.length, responses.length - 1)];
+      calls.push({ url, init });
+      if (response instanceof Error) throw response;
+      return {
+        ok: response.status < 400,
+        status: response.status,
+        headers: { get: (name) => response.headers?.[name.toLowerCase()] ?? null },
+        json: async () => response.body,
+      };
+    };
+
+    const apiClient = (api) =>
+      SynatraClient.create({
+        wallet: Keypair.generate(),
+        logger: { error: (message) => logged.push(message) },
+        api,
+      });
+
+    beforeEach(() => {
+      calls = [];
+      logged = [];
+    });
+
+    test("retries 5xx responses with exponential backoff", async () => {
+      const client = apiClient({
+        retryDelayMs: 1,
+        fetch: stubFetch([{ status: 503 }, { status: 502 }, { status: 200, body: [] }]),
+      });
+
+      expect(await client.getClaims()).toEqual([]);
+      expect(calls).toHaveLength(3);
+      expect(logged.map((m) => m.match(/retrying in (\d+)ms/)[1])).toEqual(["1", "2"]);
+    });
+
+    test("honors Retry-After on 429 and gives up when it asks for too long", async () => {
+      const client = apiClient({
+        fetch: stubFetch([
+          { status: 429, headers: { "retry-after": "0" } },
+          { status: 429, headers: { "retry-after": "120" } },
+        ]),
+      });
+
+      const err = await client.getClaims().catch((e) => e);
+
+      expect(calls).toHaveLength(2);
+      expect(logged[0]).toContain("retrying in 0ms");
+      expect(err).toBeInstanceOf(ApiError);
+      expect(err.status).toBe(429);
+    });
+
+    test("does not retry client errors and stops after maxRetries", async () => {
+      const notFound = apiClient({ fetch: stubFetch([{ status: 404 }]) });
+      await expect(notFound.getClaims()).rejects.toThrow("HTTP error! status: 404");
+      expect(calls).toHaveLength(1);
+
+      calls = [];
+      const down = apiClient({ maxRetries: 2, retryDelayMs: 0, fetch: stubFetch([{ status: 500 }]) });
+      await expect(down.getClaims()).rejects.toThrow("HTTP error! status: 500");
+      expect(calls).toHaveLength(3);
+    });
+
+    test("reports network errors with their cause and retries them", async () => {
+      const failure = new TypeError("getaddrinfo ENOTFOUND api.synatra.xyz");
+      const client = apiClient({ maxRetries: 1, retryDelayMs: 0, fetch: stubFetch([failure]) });
+
+      const err = await client.getClaims().catch((e) => e);
+
+      expect(calls).toHaveLength(2);
+      expect(err.message).toBe("Network error: getaddrinfo ENOTFOUND api.synatra.xyz");
+      expect(err.cause).toBe(failure);
+    });
+
+    test("times out slow responses", async () => {
+      const hang = async (url, { signal }) => {
+        calls.push(url);
+        return new Promise((resolve, reject) =>
+          signal.addEventListener("abort", () => reject(new Error("aborted")))
+        );
+      };
+      const client = apiClient({ timeoutMs: 10, fetch: hang });
+
+      await expect(client.getClaims()).rejects.toThrow("Request timed out after 10ms");
+      expect(calls).toHaveLength(1);
+    });
+
+    test("a per-call signal cancels the request and pending retries", async () => {
+      const client = apiClient({ retryDelayMs: 10_000, fetch: stubFetch([{ status: 503 }]) });
+      const controller = new AbortController();
+
+      const pending = client.getClaims({ signal: controller.signal });
+      setTimeout(() => controller.abort(), 5);
+
+      await expect(pending).rejects.toThrow("Request aborted");
+      expect(calls).toHaveLength(1);
+      expect(calls[0].init.signal).toBeInstanceOf(AbortSignal);
+      await expect(client.getClaims({ signal: controller.signal })).rejects.toThrow(
+        "Request aborted"
+      );
+      expect(calls).toHaveLength(1);
+    });
+
+    test("uses the injected fetch instead of the global one", async () => {
+      const originalFetch = globalThis.fetch;
+      globalThis.fetch = async () => {
+        throw new Error("global fetch called");
+      };
+      try {
+        const client = apiClient({ fetch: stubFetch([{ status: 200, body: [] }]) });
+        await client.getClaims();
+        expect(calls[0].url).toBe(
+          `https://api.synatra.xyz/claims/users/${client.userPublicKey.toBase58()}`
+        );
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    test("rejects invalid api options", () => {
+      expect(() => SynatraClient.create({ api: { timeoutMs: 0 } })).toThrow("Invalid option: api");
+      expect(() => SynatraClient.create({ api: { fetch: "fetch" } })).toThrow(ConfigurationError);
+      expect(
+        () => new SynatraClient(RPC_URL, null, undefined, 0, false, { api: { retries: 1 } })
+      ).toThrow("Invalid api options");
+    });
+  });
+
+  describe("Claims Queries", () => {
+    let client;
+    let logged;
+    let records;
+    let requests;
+
+    const at = (day) => `2025-01-${String(day).padStart(2, "0")}T00:00:00.000Z`;
+
+    beforeEach(() => {
+      logged = [];
+      requests = 0;
+      records = [
+        apiClaim({ poolId: "0", unstakeDate: at(3) }),
+        apiClaim({ poolId: 1, unstakeDate: at(1), fulfilled: true, fulfilledDate: at(2) }),
+        apiClaim({ unstakeDate: at(2), fulfilled: true, claimed: true, claimedDate: at(4) }),
+        apiClaim({ unstakeDate: at(5) }),
+      ];
+      client = SynatraClient.create({
+        wallet: Keypair.generate(),
+        logger: { error: (message) => logged.push(message) },
+        api: {
+          fetch: async () => {
+            requests++;
+            return { ok: true, status: 200, json: async () => records };
+          },
+        },
+      });
+    });
+
+    test("parses dates and amounts and sorts by unstake date", async () => {
+      const claims = await client.getClaims();
+
+      expect(claims.map((claim) => claim.unstakeDate.toISOString())).toEqual([
+        at(1),
+        at(2),
+        at(3),
+        at(5),
+      ]);
+      expect(claims[0]).toMatchObject({
+        poolId: "1",
+        receiptAmount: 1000,
+        unstakeRate: RATE_PRECISION,
+        fulfilledDate: new Date(at(2)),
+        claimedDate: null,
+      });
+      expect(Object.keys(claims[0]).sort()).toEqual(Object.keys(apiClaim()).sort());
+    });
+
+    test("reports malformed records instead of returning them", async () => {
+      records.push(
+        apiClaim({ address: "not-a-key", receiptAmount: -1 }),
+        apiClaim({ unstakeDate: "yesterday", fulfilled: "yes" }),
+        null
+      );
+      let reported;
+
+      const claims = await client.getClaims({ onInvalid: (invalid) => (reported = invalid) });
+
+      expect(claims).toHaveLength(4);
+      expect(reported.map(({ index, errors }) => ({ index, errors }))).toEqual([
+        {
+          index: 4,
+          errors: ["address must be a base58 address", "receiptAmount must be a u64 amount"],
+        },
+        { index: 5, errors: ["unstakeDate must be a date", "fulfilled must be a boolean"] },
+        { index: 6, errors: ["record is not an object"] },
+      ]);
+      expect(reported[0].record).toBe(records[4]);
+      expect(logged).toEqual(["skipped 3 malformed claims:"]);
+    });
+
+    test("filters by pool, status and unstake date", async () => {
+      const dates = async (query) =>
+        (await client.getClaims(query)).map((claim) => claim.unstakeDate.toISOString());
+
+      expect(await dates({ poolId: 0 })).toEqual([at(3)]);
+      expect(await dates({ status: "pending" })).toEqual([at(3), at(5)]);
+      expect(await dates({ status: "fulfilled" })).toEqual([at(1)]);
+      expect(await dates({ status: "claimed" })).toEqual([at(2)]);
+      expect(await dates({ since: at(2), until: new Date(at(5)) })).toEqual([at(2), at(3)]);
+    });
+
+    test("pages with limit and cursor", async () => {
+      const first = await client.getClaimsPage({ limit: 3 });
+      const second = await client.getClaimsPage({ limit: 3, cursor: first.nextCursor });
+
+      expect(first.claims).toHaveLength(3);
+      expect(typeof first.nextCursor).toBe("string");
+      expect(second.claims.map((claim) => claim.unstakeDate.toISOString())).toEqual([at(5)]);
+      expect(second.nextCursor).toBeNull();
+      await expect(client.getClaims({ limit: 2 })).resolves.toHaveLength(2);
+    });
+
+    test("iterateClaims walks every match from one download", async () => {
+      records.push(apiClaim({ nonce: "x" }));
+      const seen = [];
+      const reports = [];
+
+      for await (const claim of client.iterateClaims({
+        limit: 1,
+        status: "pending",
+        onInvalid: (invalid) => reports.push(invalid),
+      })) {
+        seen.push(claim.unstakeDate.toISOString());
+      }
+
+      expect(seen).toEqual([at(3), at(5)]);
+      expect(requests).toBe(1);
+      expect(reports).toHaveLength(1);
+    });
+
+    test("rejects invalid queries", async () => {
+      await expect(client.getClaims({ status: "open" })).rejects.toThrow("Invalid status: open");
+      await expect(client.getClaims({ poolId: -1 })).rejects.toThrow("Invalid pool ID");
+      await expect(client.getClaims({ since: "soon" })).rejects.toThrow("Invalid since date");
+      await expect(client.getClaims({ limit: 0 })).rejects.toThrow(
+        "limit must be a positive integer"
+      );
+      await expect(client.getClaimsPage({ cursor: "abc" })).rejects.toThrow(ValidationError);
+      expect(requests).toBe(0);
+    });
+
+    test("rejects a response that is not an array", async () => {
+      records = { claims: [] };
+
+      await expect(client.getClaims()).rejects.toThrow(
+        "Invalid claims response: expected an array"
+      );
+    });
+  });
+
+  describe("On-chain Claims", () => {
+    let client;
+    let user;
+
+    const encodeClaim = (fields) =>
+      client.program.coder.accounts.encode("claimRecord", {
+        poolId: new BN(fields.poolId),
+        claimer: fields.claimer,
+        nonce: new BN(fields.nonce),
+        receiptAmount: new BN(fields.receiptAmount),
+        unstakeRate: new BN(fields.unstakeRate),
+        fulfilled: fields.fulfilled,
+      });
+
+    beforeEach(() => {
+      user = Keypair.generate();
+      client = new SynatraClient(RPC_URL, user);
+    });
+
+    test("getClaimRecord decodes the claim PDA for a pool and nonce", async () => {
+      const data = await encodeClaim({
+        poolId: 1,
+        claimer: user.publicKey,
+        nonce: 4,
+        receiptAmount: 2_000_000,
+        unstakeRate: RATE_PRECISION / 2,
+        fulfilled: true,
+      });
+      let requested;
+      client.connection.getAccountInfoAndContext = async (address) => {
+        requested = address;
+        return {
+          context: { slot: 1 },
+          value: { data, owner: client.programPublicKey, lamports: 1, executable: false },
+        };
+      };
+
+      const claim = await client.getClaimRecord(USDC_POOL_ID, 4);
+
+      expect(requested.equals(client._getPda(`claim-${USDC_POOL_ID}-4`))).toBe(true);
+      expect(claim).toEqual({
+        address: requested.toBase58(),
+        user: user.publicKey.toBase58(),
+        poolId: "1",
+        poolAddress: client._getPoolPublicKey(USDC_POOL_ID).toBase58(),
+        receiptAmount: 2_000_000,
+        nonce: 4,
+        unstakeRate: RATE_PRECISION / 2,
+        claimAmount: 1_000_000,
+        fulfilled: true,
+      });
+    });
+
+    test("getClaimRecord returns null for unknown nonces", async () => {
+      client.connection.getAccountInfoAndContext = async () => ({
+        context: { slot: 1 },
+        value: null,
+      });
+
+      expect(await client.getClaimRecord(USDC_POOL_ID, 99)).toBeNull();
+    });
+
+    test("getOnchainClaims filters by discriminator and claimer", async () => {
+      const other = Keypair.generate().publicKey;
+      const claims = [
+        { poolId: 1, nonce: 2 },
+        { poolId: 0, nonce: 5 },
+        { poolId: 1, nonce: 1 },
+      ];
+      const accounts = await Promise.all(
+        claims.map(async ({ poolId, nonce }) => ({
+          pubkey: client._getPda(`claim-${poolId}-${nonce}`),
+          account: {
+            data: await encodeClaim({
+              poolId,
+              claimer: other,
+              nonce,
+              receiptAmount: 1000,
+              unstakeRate: RATE_PRECISION,
+              fulfilled: false,
+            }),
+            owner: client.programPublicKey,
+            lamports: 1,
+            executable: false,
+          },
+        }))
+      );
+      let filters;
+      client.connection.getProgramAccounts = async (programId, config) => {
+        filters = config.filters;
+        return accounts;
+      };
+
+      const result = await client.getOnchainClaims(other.toBase58());
+
+      expect(filters).toContainEqual({
+        memcmp: { offset: 16, bytes: other.toBase58() },
+      });
+      expect(filters.some((f) => f.memcmp?.offset === 0)).toBe(true);
+      expect(result.map((c) => [c.poolId, c.nonce])).toEqual([
+        ["0", 5],
+        ["1", 1],
+        ["1", 2],
+      ]);
+      expect(result[0].claimAmount).toBe(1000);
+    });
+
+    test("getOnchainClaims defaults to the connected wallet", async () => {
+      const readOnlyClient = new SynatraClient(RPC_URL);
+
+      await expect(readOnlyClient.getOnchainClaims()).rejects.toThrow(
+        WalletNotSetError
+      );
+    });
+
+    test("reconcileClaims joins API claims and ClaimRecords on the PDA", async () => {
+      const pda = (poolId, nonce) => client._getPda(`claim-${poolId}-${nonce}`).toBase58();
+      const claim = (poolId, nonce, overrides) =>
+        apiClaim({ address: pda(poolId, nonce), poolId: String(poolId), nonce, ...overrides });
+      const record = (poolId, nonce, fields = {}) => ({
+        publicKey: new PublicKey(pda(poolId, nonce)),
+        account: {
+          poolId: new BN(poolId),
+          claimer: user.publicKey,
+          nonce: new BN(nonce),
+          receiptAmount: new BN(fields.receiptAmount ?? 1000),
+          unstakeRate: new BN(fields.unstakeRate ?? RATE_PRECISION),
+          fulfilled: fields.fulfilled ?? false,
+        },
+      });
+      const reconciling = SynatraClient.create({
+        wallet: user,
+        api: {
+          fetch: async () => ({
+            ok: true,
+            status: 200,
+            json: async () => [
+              claim(1, 0),
+              claim(1, 1, { claimed: true, fulfilled: true }),
+              claim(1, 2),
+              claim(1, 3, { receiptAmount: "999", unstakeRate: RATE_PRECISION / 2 }),
+              claim(1, 4, { fulfilled: true }),
+              claim(0, 7, { address: Keypair.generate().publicKey.toBase58() }),
+              { address: "broken" },
+            ],
+          }),
+        },
+      });
+      reconciling.program.account.claimRecord.all = async () => [
+        record(1, 0),
+        record(1, 3),
+        record(1, 4),
+        record(0, 7),
+        record(2, 0),
+      ];
+
+      const report = await reconciling.reconcileClaims();
+
+      expect(report.user).toBe(user.publicKey.toBase58());
+      expect(report.ok).toBe(false);
+      expect(report.claims.map((c) => `${c.poolId}/${c.nonce}`)).toEqual([
+        "0/7",
+        "1/0",
+        "1/1",
+        "1/2",
+        "1/3",
+        "1/4",
+        "2/0",
+      ]);
+      expect(
+        Object.fromEntries(
+          report.mismatches.map((c) => [`${c.poolId}/${c.nonce}`, c.issues.map((i) => i.type)])
+        )
+      ).toEqual({
+        "0/7": ["address_mismatch"],
+        "1/1": ["missing_onchain"],
+        "1/2": ["missing_onchain"],
+        "1/3": ["receipt_amount_mismatch", "unstake_rate_mismatch"],
+        "1/4": ["fulfilled_mismatch"],
+        "2/0": ["missing_api"],
+      });
+      const [receipt] = report.mismatches.find((c) => c.nonce === 3).issues;
+      expect(receipt).toMatchObject({ api: 999, onchain: 1000 });
+      expect(report.claims.find((c) => c.nonce === 1 && c.poolId === "1").onchain).toBeNull();
+      expect(report.invalid).toHaveLength(1);
+    });
+  });
+
+  describe("Positions and Portfolio", () => {
+    let client;
+    let owner;
+    let pools;
+    let requestedUrls;
+    let originalFetch;
+
+    const tokenAccount = (mint, amount) => {
+      const data = Buffer.alloc(ACCOUNT_SIZE);
+      AccountLayout.encode(
+        {
+          mint,
+          owner,
+          amount: BigInt(amount),
+          delegateOption: 0,
+          delegate: PublicKey.default,
+          state: AccountState.Initialized,
+          isNativeOption: 0,
+          isNative: 0n,
+          delegatedAmount: 0n,
+          closeAuthorityOption: 0,
+          closeAuthority: PublicKey.default,
+        },
+        data
+      );
+      return { data, owner: TOKEN_PROGRAM_ID, lamports: 2039280, executable: false };
+    };
+
+    const mockClaims = (claims) => {
+      globalThis.fetch = async (url) => {
+        requestedUrls.push(url);
+        return { ok: true, status: 200, json: async () => claims };
+      };
+    };
+
+    const setUp = (client) => {
+      pools = [
+        mockPool(client, { id: 0, stakeToken: SOL_STAKE_TOKEN, unstakeRate: 1_100_000_000 }),
+        mockPool(client, { id: 1, unstakeRate: RATE_PRECISION / 2 }),
+        mockPool(client, { id: 2 }),
+      ];
+      const byAddress = (address) =>
+        pools.find((p) => client._getPoolPublicKey(p.id).equals(address));
+      client.program.account.pool.fetchNullable = async (address) => ({ ...byAddress(address) });
+      client.program.account.pool.all = async () =>
+        pools.map((p) => ({ publicKey: client._getPoolPublicKey(p.id), account: { ...p } }));
+
+      const accounts = new Map(
+        [
+          [pools[0].receiptToken, 2_000_000_000],
+          [pools[1].receiptToken, 3_000_000],
+        ].map(([mint, amount]) => [
+          getAssociatedTokenAddressSync(mint, owner).toBase58(),
+          tokenAccount(mint, amount),
+        ])
+      );
+      const readMint = client.connection.getAccountInfo;
+      client.connection.getAccountInfo = async (address) =>
+        accounts.get(address.toBase58()) ?? readMint(address);
+    };
+
+    const [a, b, c, d] = Array.from({ length: 4 }, () => Keypair.generate().publicKey.toBase58());
+    const apiClaims = () => [
+      apiClaim({ address: a, poolId: "0", claimAmount: 100 }),
+      apiClaim({ address: b, poolId: "1", claimAmount: 500 }),
+      apiClaim({ address: c, poolId: "1", claimAmount: 700, fulfilled: true }),
+      apiClaim({ address: d, poolId: "1", claimAmount: 900, fulfilled: true, claimed: true }),
+    ];
+
+    beforeEach(() => {
+      owner = Keypair.generate().publicKey;
+      requestedUrls = [];
+      originalFetch = globalThis.fetch;
+      // No wallet: positions are read for any address
+      client = new SynatraClient(RPC_URL);
+      setUp(client);
+    });
+
+    afterEach(() => {
+      globalThis.fetch = originalFetch;
+    });
+
+    test("getPosition values the receipt balance and groups claims", async () => {
+      mockClaims(apiClaims());
+
+      const position = await client.getPosition(USDC_POOL_ID, owner.toBase58());
+
+      expect(requestedUrls).toEqual([`https://api.synatra.xyz/claims/users/${owner.toBase58()}`]);
+      expect(position).toMatchObject({
+        poolId: 1,
+        owner: owner.toBase58(),
+        receiptBalance: 3_000_000,
+        receiptValue: 1_500_000,
+        pendingAmount: 500,
+        claimableAmount: 700,
+        claimedAmount: 900,
+        totalValue: 1_501_200,
+        claimsSource: "api",
+      });
+      expect(position.stakeToken.equals(pools[1].stakeToken)).toBe(true);
+      expect(position.claims.pending.map((claim) => claim.address)).toEqual([b]);
+      expect(position.claims.fulfilled.map((claim) => claim.address)).toEqual([c]);
+      expect(position.claims.claimed.map((claim) => claim.address)).toEqual([d]);
+    });
+
+    test("getPortfolio totals positions per asset", async () => {
+      mockClaims(apiClaims());
+
+      const portfolio = await client.getPortfolio(owner);
+
+      expect(portfolio.positions.map((p) => p.poolId)).toEqual([0, 1]);
+      expect(portfolio.totals).toEqual({
+        [SOL_STAKE_TOKEN.toBase58()]: 2_200_000_100,
+        [pools[1].stakeToken.toBase58()]: 1_501_200,
+      });
+    });
+
+    test("reads claims from ClaimRecords without an API", async () => {
+      const onchain = new SynatraClient(RPC_URL, null, undefined, 0, false, {
+        cluster: "localnet",
+      });
+      setUp(onchain);
+      onchain.program.account.claimRecord.all = async () => [
+        {
+          publicKey: Keypair.generate().publicKey,
+          account: {
+            poolId: new BN(1),
+            claimer: owner,
+            nonce: new BN(0),
+            receiptAmount: new BN(400),
+            unstakeRate: new BN(RATE_PRECISION / 2),
+            fulfilled: true,
+          },
+        },
+      ];
+
+      const position = await onchain.getPosition(USDC_POOL_ID, owner);
+
+      expect(position.claimsSource).toBe("onchain");
+      expect(position.claimableAmount).toBe(200);
+      expect(position.claims.claimed).toEqual([]);
+      // Fulfilled records may already be paid out
+      expect(position.totalValue).toBe(1_500_000);
+    });
+
+    test("falls back to ClaimRecords when the API fails", async () => {
+      globalThis.fetch = async () => ({ ok: false, status: 400, json: async () => ({}) });
+      client.program.account.claimRecord.all = async () => [
+        {
+          publicKey: Keypair.generate().publicKey,
+          account: {
+            poolId: new BN(1),
+            claimer: owner,
+            nonce: new BN(0),
+            receiptAmount: new BN(400),
+            unstakeRate: new BN(RATE_PRECISION / 2),
+            fulfilled: false,
+          },
+        },
+      ];
+
+      const portfolio = await client.getPortfolio(owner);
+
+      expect(portfolio.claimsSource).toBe("onchain");
+      expect(portfolio.positions[1].pendingAmount).toBe(200);
+      expect(portfolio.totals[pools[1].stakeToken.toBase58()]).toBe(1_500_200);
+    });
+
+    test("missing receipt accounts count as zero", async () => {
+      mockClaims([]);
+
+      const position = await client.getPosition(2, owner);
+
+      expect(position.receiptBalance).toBe(0);
+      expect(position.totalValue).toBe(0);
+    });
+
+    test("bigint mode returns exact totals", async () => {
+      const exact = new SynatraClient(RPC_URL, null, undefined, 0, false, {
+        amountMode: "bigint",
+      });
+      setUp(exact);
+      mockClaims(apiClaims());
+
+      const portfolio = await exact.getPortfolio(owner);
+
+      expect(portfolio.totals[pools[1].stakeToken.toBase58()]).toBe(1_501_200n);
+      expect(portfolio.positions[0].receiptBalance).toBe(2_000_000_000n);
+    });
+
+    test("getClaims reads any user's claims", async () => {
+      mockClaims([]);
+
+      await client.getClaims({ user: owner });
+
+      expect(requestedUrls[0]).toContain(owner.toBase58());
+      await expect(client.getClaims({ user: "nope" })).rejects.toThrow("Invalid owner address");
+    });
+  });
+
+  describe("Pool Discovery", () => {
+    test("listPools decodes, sorts and describes every pool", async () => {
+      const client = new SynatraClient(RPC_URL);
+      const ySol = Keypair.generate().publicKey;
+      const usdc = Keypair.generate().publicKey;
+      const yUsd = Keypair.generate().publicKey;
+      const encodePool = (id, stakeToken, receiptToken) =>
+        client.program.coder.accounts.encode("pool", {
+          id: new BN(id),
+          manager: PublicKey.default,
+          oracle: PublicKey.default,
+          stakeToken,
+          receiptToken,
+          stakeRate: new BN(RATE_PRECISION),
+          unstakeRate: new BN(RATE_PRECISION),
+          receiptMaxSupply: new BN(1_000_000),
+          nonce: new BN(id + 3),
+        });
+      const pools = [
+        [1, usdc, yUsd],
+        [0, SOL_STAKE_TOKEN, ySol],
+      ];
+      let filters;
+      client.connection.getProgramAccounts = async (programId, config) => {
+        filters = config.filters;
+        return Promise.all(
+          pools.map(async ([id, stakeToken, receiptToken]) => ({
+            pubkey: client._getPoolPublicKey(id),
+            account: {
+              data: await encodePool(id, stakeToken, receiptToken),
+              owner: client.programPublicKey,
+              lamports: 1,
+              executable: false,
+            },
+          }))
+        );
+      };
+      mockMints(client, [
+        { address: ySol, supply: 5_000, decimals: 9 },
+        { address: usdc, supply: 70_000, decimals: 6 },
+        { address: yUsd, supply: 60_000, decimals: 6 },
+      ]);
+
+      const result = await client.listPools();
+
+      expect(filters.some((f) => f.memcmp?.offset === 0)).toBe(true);
+      expect(result.map((pool) => pool.id)).toEqual([0, 1]);
+      expect(result[0].address.equals(client._getPoolPublicKey(0))).toBe(true);
+      expect(result[0]).toMatchObject({
+        nonce: 3,
+        stakeTokenDecimals: 9,
+        stakeTokenSupply: null,
+        receiptTokenDecimals: 9,
+        receiptTokenSupply: 5_000,
+      });
+      expect(result[1]).toMatchObject({
+        stakeRate: RATE_PRECISION,
+        receiptMaxSupply: 1_000_000,
+        stakeTokenDecimals: 6,
+        stakeTokenSupply: 70_000,
+        receiptTokenDecimals: 6,
+        receiptTokenSupply: 60_000,
+      });
+    });
+  });
+
+  describe("Pool Subscriptions", () => {
+    let client;
+    let listener;
+    let removed;
+
+    const encodePool = (fields) =>
+      client.program.coder.accounts.encode("pool", {
+        id: new BN(1),
+        manager: PublicKey.default,
+        oracle: PublicKey.default,
+        stakeToken: PublicKey.default,
+        receiptToken: PublicKey.default,
+        stakeRate: new BN(fields.stakeRate ?? RATE_PRECISION),
+        unstakeRate: new BN(fields.unstakeRate ?? RATE_PRECISION),
+        receiptMaxSupply: new BN(fields.receiptMaxSupply ?? 1_000_000),
+        nonce: new BN(fields.nonce ?? 0),
+      });
+    const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    beforeEach(() => {
+      client = new SynatraClient(RPC_URL);
+      mockPool(client, { receiptMaxSupply: 1_000_000, nonce: 0 });
+      removed = [];
+      client.connection.onAccountChange = (publicKey, callback) => {
+        listener = { publicKey, callback };
+        return 42;
+      };
+      client.connection.removeAccountChangeListener = async (id) => {
+        removed.push(id);
+      };
+    });
+
+    test("reports decoded pools and the fields that changed", async () => {
+      const updates = [];
+      client.onPoolChange(USDC_POOL_ID, (pool, change) => updates.push({ pool, change }));
+
+      expect(listener.publicKey.equals(client._getPoolPublicKey(USDC_POOL_ID))).toBe(true);
+      listener.callback({ data: await encodePool({ stakeRate: 1_100_000_000 }) }, { slot: 7 });
+      listener.callback(
+        { data: await encodePool({ stakeRate: 1_100_000_000, nonce: 1 }) },
+        { slot: 8 }
+      );
+      await flush();
+
+      expect(updates).toHaveLength(2);
+      expect(updates[0].pool.stakeRate).toBe(1_100_000_000);
+      expect(updates[0].change.changed).toEqual(["stakeRate"]);
+      expect(updates[0].change.previous.stakeRate).toBe(RATE_PRECISION);
+      expect(updates[0].change.slot).toBe(7);
+      expect(updates[1].change.changed).toEqual(["nonce"]);
+    });
+
+    test("returns an unsubscribe handle", async () => {
+      const unsubscribe = client.onPoolChange(USDC_POOL_ID, () => {});
+
+      await unsubscribe();
+
+      expect(removed).toEqual([42]);
+    });
+  });
+
+  describe("Claim Tracking", () => {
+    let client;
+    let user;
+    let claimAddress;
+    let records;
+    let originalFetch;
+
+    const encodeClaim = (fulfilled) =>
+      client.program.coder.accounts.encode("claimRecord", {
+        poolId: new BN(USDC_POOL_ID),
+        claimer: user.publicKey,
+        nonce: new BN(3),
+        receiptAmount: new BN(1_000_000),
+        unstakeRate: new BN(RATE_PRECISION),
+        fulfilled,
+      });
+
+    // Each poll reads the next record state; the last one repeats
+    const mockRecords = async (states) => {
+      records = await Promise.all(
+        states.map((state) => (state === null ? null : encodeClaim(state === "fulfilled")))
+      );
+      let polls = 0;
+      client.connection.getAccountInfoAndContext = async () => {
+        const data = records[Math.min(polls++, records.length - 1)];
+        return {
+          context: { slot: 1 },
+          value: data && { data, owner: client.programPublicKey, lamports: 1, executable: false },
+        };
+      };
+    };
+
+    beforeEach(() => {
+      user = Keypair.generate();
+      client = new SynatraClient(RPC_URL, user, null);
+      claimAddress = client._getClaimRecordPublicKey(USDC_POOL_ID, 3);
+      originalFetch = globalThis.fetch;
+    });
+
+    afterEach(() => {
+      globalThis.fetch = originalFetch;
+    });
+
+    test("emits each status as the on-chain record changes", async () => {
+      await mockRecords(["pending", "pending", "fulfilled"]);
+      const seen = [];
+
+      const tracker = client.trackClaim(claimAddress, { pollIntervalMs: 0 });
+      tracker.on("status", (update) => seen.push(update.status));
+      const update = await tracker.done;
+
+      expect(seen).toEqual(["pending", "fulfilled"]);
+      expect(update.status).toBe("fulfilled");
+      expect(update.address).toBe(claimAddress.toBase58());
+      expect(update.onchain.fulfilled).toBe(true);
+    });
+
+    test("does not treat a missing record as claimed", async () => {
+      client.synatraApiUrl = "https://api.example.com";
+      await mockRecords(["pending", null]);
+      globalThis.fetch = async () => ({ ok: true, json: async () => [] });
+
+      const tracker = client.trackClaim(claimAddress, {
+        until: "claimed",
+        timeout: 30,
+        pollIntervalMs: 5,
+      });
+      tracker.on("error", () => {});
+      const error = await tracker.done.catch((err) => err);
+
+      expect(error).toBeInstanceOf(ClaimTimeoutError);
+      expect(tracker.status).toBe("pending");
+    });
+
+    test("waitForClaim resolves once the claim is fulfilled", async () => {
+      await mockRecords(["pending", "fulfilled"]);
+
+      const update = await client.waitForClaim(claimAddress.toBase58(), { pollIntervalMs: 0 });
+
+      expect(update.status).toBe("fulfilled");
+      expect(update.onchain.fulfilled).toBe(true);
+      expect(update.onchain.claimAmount).toBe(1_000_000);
+    });
+
+    test("uses the API claimed flag once the record is gone", async () => {
+      client.synatraApiUrl = "https://api.example.com";
+      await mockRecords([null]);
+      let requested;
+      globalThis.fetch = async (url) => {
+        requested = url;
+        return {
+          ok: true,
+          json: async () => [
+            apiClaim(),
+            apiClaim({ address: claimAddress.toBase58(), fulfilled: true, claimed: true }),
+          ],
+        };
+      };
+
+      const update = await client.waitForClaim(claimAddress, { until: "claimed", pollIntervalMs: 0 });
+
+      expect(requested).toBe(`https://api.example.com/claims/users/${user.publicKey.toBase58()}`);
+      expect(update.status).toBe("claimed");
+      expect(update.api.claimed).toBe(true);
+    });
+
+    test("rejects with ClaimTimeoutError when the status is not reached", async () => {
+      await mockRecords(["pending"]);
+      const errors = [];
+
+      const tracker = client.trackClaim(claimAddress, { timeout: 20, pollIntervalMs: 5 });
+      tracker.on("error", (err) => errors.push(err));
+      const error = await tracker.done.catch((err) => err);
+
+      expect(error).toBeInstanceOf(ClaimTimeoutError);
+      expect(error.code).toBe("CLAIM_TIMEOUT");
+      expect(error.status).toBe("pending");
+      expect(errors).toEqual([error]);
+    });
+
+    test("validates the claim address and target status", () => {
+      expect(() => client.trackClaim("not-a-key")).toThrow(ValidationError);
+      expect(() => client.trackClaim(claimAddress, { until: "pending" })).toThrow(
+        "Invalid until: pending"
+      );
+      expect(() => client.trackClaim(claimAddress, { until: "claimed" })).toThrow(
+        "Tracking until claimed needs an API URL"
+      );
+    });
+  });
+
   describe("Comprehensive Staking Tests", () => {
     let testKeypair;
     let testWallet;